@@ -1,23 +1,105 @@
 // animation.js
+// Animator draws one snapshot of a run at a time. Every process is a token
+// (a chip with its colour stripe) in the CPU, the ready queue or the I/O
+// box; stepping slides tokens from where they were in the previous snapshot
+// to where they are now, fades arrivals in and rings completions, while
+// jumpTo() (scrubbing) cuts straight to the new snapshot.
+//   animator.colorOf = ganttColors(sim.trace);   // same colours as the chart
+//   animator.loadHistory(sim.historySnapshots);
+//   new ResizeObserver(() => animator.resize()).observe(canvas);
+// The panels are laid out for the canvas's size; with many processes the
+// ready list and the I/O box shrink their chips, the process panel goes from
+// cards to rows to a compact grid, and what still doesn't fit scrolls with
+// the mouse wheel.
 import { clamp } from './utils.js';
+import { SvgContext } from './svg.js';
+import { colorPalette } from './gantt.js';
+
+const STEP_MS = 600;    // ms per step at speed=1
+const TWEEN_MS = 350;   // a step's transition at speed=1
+
+// process panel layouts, roomiest first: the first that fits every process
+// is used, else the last one scrolls
+const PROC_MODES = [
+  { name: 'cards', minW: 130, h: 60, gap: 10 },
+  { name: 'rows', minW: 140, h: 20, gap: 4 },
+  { name: 'mini', minW: 58, h: 14, gap: 3 }
+];
+
+// I/O chip sizes, tried in turn: [width, height, gap, font px]
+const BLOCKED_CHIPS = [[56, 24, 6, 12], [44, 18, 4, 10]];
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const ease = t => t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+
+// the token `t` of the way from a to b; colours switch halfway
+function lerpToken(a, b, t) {
+  return { ...(t < 0.5 ? a : b), x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t), w: lerp(a.w, b.w, t), h: lerp(a.h, b.h, t), size: lerp(a.size, b.size, t) };
+}
+
+// the panels for a w × h canvas: the ready queue on the left, the CPU boxes'
+// area over the I/O box in the middle, the process cards on the right
+function layout(w, h) {
+  const top = 76, bottom = h - 20, margin = 20;
+  const gap = clamp(Math.round(w * 0.04), 16, 40);
+  const ready = { x: margin, y: top, w: clamp(Math.round(w * 0.16), 140, 240), h: bottom - top };
+  const midX = ready.x + ready.w + gap;
+  const midW = clamp(Math.round(w * 0.26), 200, 360);
+  const cpu = { x: midX, y: top, w: midW, h: clamp(Math.round((bottom - top) * 0.4), 80, 160) };
+  const blocked = { x: midX, y: cpu.y + cpu.h + 30, w: midW, h: bottom - (cpu.y + cpu.h + 30) };
+  const procsX = midX + midW + gap;
+  const procs = { x: procsX, y: top, w: Math.max(120, w - margin - procsX), h: bottom - top };
+  return { ready, cpu, blocked, procs };
+}
 
 export class Animator {
-  constructor(canvas, width=1000, height=480) {
+  // pixelRatio: canvas pixels per CSS pixel (default: the screen's)
+  constructor(canvas, width=1000, height=480, { pixelRatio = null } = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
-    this.w = canvas.width = width;
-    this.h = canvas.height = height;
-    this.history = []; // snapshots
+    this.pixelRatio = pixelRatio;
+    this._setSize(width, height);
+    this.history = []; // snapshots: an array or a Timeline, read with .at(i)
     this.current = 0;
     this.playing = false;
     this.speed = 1; // multiplier; 1 means 1x
     this._raf = null;
     this.onFrameCallback = null;
+    this.caption = null; // optional snap => text, drawn under the time in the header
+    this.colorOf = null; // optional pid => colour; default: the Gantt palette in arrival order
+    this._tween = null;  // { from, t }: a step's transition in progress
+    this._tweenRaf = null;
+    this._colors = new Map();
+    this._scroll = { ready: 0, procs: 0 };   // rows scrolled past
+    if (canvas.addEventListener) canvas.addEventListener('wheel', e => this._onWheel(e), { passive: false });
+  }
+
+  // fit the drawing to a new size in CSS pixels (default: the canvas's size
+  // on the page), sharp at the screen's pixel density
+  resize(width = this.canvas.clientWidth, height = this.canvas.clientHeight) {
+    if (!width || !height) return;   // hidden
+    this._setSize(width, height);
+    this.draw();
+  }
+
+  _setSize(width, height) {
+    const ratio = this.pixelRatio ?? globalThis.devicePixelRatio ?? 1;
+    this.w = width;
+    this.h = height;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+    // resizing resets the context; draw in CSS pixels
+    if (ratio !== 1) this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this._panels = layout(width, height);
   }
 
   loadHistory(history) {
+    this._stopTween();
     this.history = history;
     this.current = 0;
+    this._scroll = { ready: 0, procs: 0 };
+    const procs = history.length ? history.at(0).procs || [] : [];
+    this._colors = new Map(procs.map((p, i) => [p.pid, colorPalette[i % colorPalette.length]]));
     this.draw();
   }
 
@@ -28,11 +110,10 @@ export class Animator {
   play() {
     if (this.playing) return;
     this.playing = true;
-    const baseInterval = 600; // ms per step at speed=1
     let lastTime = performance.now();
     const step = (now) => {
       const elapsed = now - lastTime;
-      const interval = baseInterval / this.speed;
+      const interval = STEP_MS / this.speed;
       if (elapsed >= interval) {
         lastTime = now;
         this.stepForward();
@@ -48,24 +129,77 @@ export class Animator {
   }
 
   stepForward() {
-    this.current = clamp(this.current + 1, 0, Math.max(0, this.history.length - 1));
-    this.draw();
-    if (this.onFrameCallback) this.onFrameCallback(this.current);
+    this._moveTo(this.current + 1, true);
   }
 
   stepBackward() {
-    this.current = clamp(this.current - 1, 0, Math.max(0, this.history.length - 1));
-    this.draw();
-    if (this.onFrameCallback) this.onFrameCallback(this.current);
+    this._moveTo(this.current - 1, true);
   }
 
   jumpTo(index) {
+    this._moveTo(index, false);
+  }
+
+  // steps animate from the snapshot they leave; jumps don't
+  _moveTo(index, animate) {
+    const from = this.current;
     this.current = clamp(index, 0, Math.max(0, this.history.length - 1));
-    this.draw();
+    if (animate && from !== this.current && typeof requestAnimationFrame !== 'undefined') this._startTween(from);
+    else {
+      this._stopTween();
+      this.draw();
+    }
     if (this.onFrameCallback) this.onFrameCallback(this.current);
   }
 
+  _startTween(from) {
+    this._stopTween();
+    const start = performance.now();
+    const duration = TWEEN_MS / this.speed;
+    const tween = this._tween = { from, t: 0 };
+    const frame = (now) => {
+      if (this._tween !== tween) return;   // superseded by a newer step
+      tween.t = Math.min(1, (now - start) / duration);
+      if (tween.t < 1) this._tweenRaf = requestAnimationFrame(frame);
+      else this._tween = this._tweenRaf = null;
+      this.draw();
+    };
+    this.draw();
+    this._tweenRaf = requestAnimationFrame(frame);
+  }
+
+  _stopTween() {
+    if (this._tweenRaf) cancelAnimationFrame(this._tweenRaf);
+    this._tween = this._tweenRaf = null;
+  }
+
+  // the wheel scrolls the ready list or the process panel when they overflow
+  _onWheel(e) {
+    if (!this.history.length) return;
+    const snap = this.history.at(this.current);
+    const inside = p => e.offsetX >= p.x && e.offsetX < p.x + p.w && e.offsetY >= p.y && e.offsetY < p.y + p.h;
+    let panel = null, max = 0;
+    if (inside(this._panels.ready) && !snap.keys && !snap.queues) {
+      panel = 'ready';
+      max = this._readyRows(snap).maxScroll;
+    } else if (inside(this._panels.procs)) {
+      panel = 'procs';
+      max = this._procGrid((snap.procs || []).length).maxScroll;
+    }
+    if (!panel || max === 0) return;
+    e.preventDefault();
+    this._scroll[panel] = clamp(this._scroll[panel] + Math.sign(e.deltaY), 0, max);
+    this.draw();
+  }
+
   draw() {
+    if (this._tween) this.drawTransition(this._tween.from, this._tween.t);
+    else this.drawTransition(null, 1);
+  }
+
+  // the current snapshot as seen `t` (0..1) of the way through the step from
+  // snapshot `from` (null: settled)
+  drawTransition(from, t) {
     const ctx = this.ctx;
     ctx.clearRect(0,0,this.w,this.h);
 
@@ -74,103 +208,535 @@ export class Animator {
       ctx.fillRect(0,0,this.w,this.h);
       ctx.fillStyle = '#9fb7c9';
       ctx.font = '16px monospace';
-      ctx.fillText('No simulation loaded. Configure processes and click Simulate.', 20, 30);
+      ctx.fillText(this._fit('No simulation loaded. Configure processes and click Simulate.', this.w - 40), 20, 30);
       return;
     }
 
-    const snap = this.history[this.current];
+    const snap = this.history.at(this.current);
+    const prev = from === null || t >= 1 ? null : this.history.at(from);
+    const k = ease(t);
     this._drawHeader(snap);
     this._drawCPU(snap);
-    this._drawReadyQueue(snap);
-    this._drawProcesses(snap);
+    if (snap.keys) this._drawKeyLine(snap);
+    else this._drawReadyQueue(snap);
+    this._drawBlocked(snap);
+    this._drawProcesses(snap, prev, k);
+    this._drawTokens(snap, prev, k);
   }
 
   _drawHeader(snap) {
     const ctx = this.ctx;
     ctx.fillStyle = '#031623';
     ctx.fillRect(0,0,this.w,56);
+    const caption = this.caption ? this.caption(snap) : '';
+    const y = caption ? 26 : 36;
     ctx.fillStyle = '#dbeafe';
     ctx.font = '16px sans-serif';
-    ctx.fillText(`Time: ${snap.time}`, 20, 36);
+    ctx.fillText(`Time: ${snap.time}`, 20, y);
     ctx.fillStyle = '#93c5fd';
     ctx.font = '12px monospace';
-    ctx.fillText(`CPU: ${snap.cpu ?? 'Idle'}`, 150, 36);
+    const cpus = [].concat(snap.cpu);
+    ctx.fillText(this._fit(`CPU: ${cpus.map(pid => pid ?? 'Idle').join(' | ')}`, this.w - 170), 150, y);
+    if (caption) {
+      ctx.fillStyle = '#fcd34d';
+      ctx.fillText(this._fit(caption, this.w - 40), 20, 47);
+    }
   }
 
-  _drawCPU(snap) {
+  // the current frame as an SVG document
+  toSVG() {
+    const screen = this.ctx;
+    this.ctx = new SvgContext(this.w, this.h, screen);
+    try {
+      this.drawTransition(null, 1);
+      return this.ctx.toSVG({ background: '#041226' });
+    } finally {
+      this.ctx = screen;
+    }
+  }
+
+  // text cut with an ellipsis to fit `width` in the current font
+  _fit(text, width) {
     const ctx = this.ctx;
-    const cx = 220, cy = 120, w = 260, h = 120;
-    // CPU box
-    ctx.fillStyle = '#01203a';
-    ctx.fillRect(cx,cy,w,h);
-    ctx.strokeStyle = '#ffb020';
-    ctx.lineWidth = 3;
-    ctx.strokeRect(cx,cy,w,h);
-    ctx.fillStyle = '#e6eef8';
-    ctx.font = '14px sans-serif';
-    ctx.fillText('CPU', cx+10, cy+20);
-    ctx.font = '26px monospace';
-    ctx.fillStyle = snap.cpu ? '#ffebb0' : '#9fb7c9';
-    ctx.fillText(snap.cpu ? String(snap.cpu) : 'Idle', cx + 20, cy + 70);
+    if (ctx.measureText(text).width <= width) return text;
+    let lo = 0, hi = text.length;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (ctx.measureText(`${text.slice(0, mid)}…`).width <= width) lo = mid;
+      else hi = mid - 1;
+    }
+    return `${text.slice(0, lo)}…`;
   }
 
-  _drawReadyQueue(snap) {
+  _pidColor(pid) {
+    return (this.colorOf ? this.colorOf(pid) : this._colors.get(pid)) ?? '#9ca3af';
+  }
+
+  // a panel's background, border and title
+  _drawPanel({ x, y, w, h }, fill, stroke, color, title) {
     const ctx = this.ctx;
-    const x = 20, y = 120, w = 160, height = 300;
-    ctx.fillStyle = '#021826';
-    ctx.fillRect(x,y,w,height);
-    ctx.strokeStyle = '#06b6d4';
+    ctx.fillStyle = fill;
+    ctx.fillRect(x,y,w,h);
+    ctx.strokeStyle = stroke;
     ctx.lineWidth = 2;
-    ctx.strokeRect(x,y,w,height);
-    ctx.fillStyle = '#cfeff6';
+    ctx.strokeRect(x,y,w,h);
+    ctx.fillStyle = color;
     ctx.font = '14px sans-serif';
-    ctx.fillText('Ready Queue', x+10, y+20);
+    ctx.fillText(this._fit(title, w - 20), x+10, y+20);
+  }
+
+  // a thin bar along a panel's right edge: `visible` of `total` rows shown
+  // from `offset`
+  _drawScrollbar({ x, y, w, h }, offset, visible, total) {
+    if (total <= visible) return;
+    const ctx = this.ctx;
+    const top = y + 30, height = h - 38;
+    ctx.fillStyle = '#0b2433';
+    ctx.fillRect(x + w - 8, top, 4, height);
+    ctx.fillStyle = '#4b6b80';
+    ctx.fillRect(x + w - 8, top + height * offset / total, 4, Math.max(8, height * visible / total));
+  }
 
-    // draw items vertically
+  // one box per core; snap.cpu is a per-core array of pids (null = idle).
+  // Each box has its label and, below it, a slot for the running token.
+  _cpuBoxes(count) {
+    const { x: cx, y: cy, w, h } = this._panels.cpu;
+    const cols = Math.min(count, Math.max(4, Math.round(Math.sqrt(count * w / h))));
+    const rows = Math.ceil(count / cols);
+    const gap = 6;
+    const bw = (w - gap * (cols - 1)) / cols;
+    const bh = (h - gap * (rows - 1)) / rows;
+    const label = bh >= 48 ? 14 : 10;
+    const size = clamp(Math.floor(bh / 4), 10, 26);
+    const slotTop = label + 10, slotH = Math.min(size + 10, bh - slotTop - 4);
+    return Array.from({ length: count }, (_, i) => {
+      const x = cx + (i % cols) * (bw + gap);
+      const y = cy + Math.floor(i / cols) * (bh + gap);
+      const slotY = y + slotTop + (bh - slotTop - 4 - slotH) / 2;
+      return { x, y, w: bw, h: bh, label, slot: { x: x + 6, y: slotY, w: bw - 12, h: slotH }, size: Math.min(size, slotH - 2) };
+    });
+  }
+
+  _drawCPU(snap) {
+    const ctx = this.ctx;
+    const cpus = [].concat(snap.cpu);
+    const switching = snap.switching || [];
+    this._cpuBoxes(cpus.length).forEach(({ x, y, w, h, label, slot, size }, i) => {
+      ctx.fillStyle = '#01203a';
+      ctx.fillRect(x,y,w,h);
+      ctx.strokeStyle = '#ffb020';
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x,y,w,h);
+      ctx.fillStyle = '#e6eef8';
+      ctx.font = `${label}px sans-serif`;
+      ctx.fillText(cpus.length > 1 ? `CPU ${i}` : 'CPU', x + 8, y + label + 4);
+      // a running or incoming process is a token (see _tokens)
+      if (cpus[i] || switching[i]) return;
+      ctx.font = `${size}px monospace`;
+      ctx.fillStyle = '#9fb7c9';
+      ctx.fillText('Idle', slot.x + 9, slot.y + slot.h / 2 + size * 0.35);
+    });
+  }
+
+  // the plain ready list: rows shrink to fit, then scroll; a last row counts
+  // the pids the snapshot left out
+  _readyRows(snap) {
+    const { x, y, w, h } = this._panels.ready;
     const list = snap.ready || [];
-    const itemH = 28;
-    for (let i=0;i<list.length;i++) {
-      const pid = list[i];
-      const yy = y + 36 + i * (itemH + 6);
+    const more = (snap.readyCount || list.length) - list.length;
+    const count = list.length + (more > 0 ? 1 : 0);
+    const top = y + 34, height = h - 40;
+    const slot = clamp(Math.floor(height / Math.max(1, count)), 18, 34);
+    const visible = Math.max(1, Math.floor(height / slot));
+    const maxScroll = Math.max(0, count - visible);
+    const offset = Math.min(this._scroll.ready, maxScroll);
+    const itemH = slot - (slot >= 26 ? 6 : 2);
+    const rows = [];
+    for (let i = offset; i < Math.min(count, offset + visible); i++) {
+      rows.push({ pid: list[i] ?? null, more: i < list.length ? 0 : more, x: x + 8, y: top + (i - offset) * slot, w: w - 24, h: itemH });
+    }
+    return { rows, size: clamp(Math.round(itemH / 2), 10, 13), offset, visible, count, maxScroll };
+  }
+
+  _drawReadyQueue(snap) {
+    const ctx = this.ctx;
+    const panel = this._panels.ready;
+    this._drawPanel(panel, '#021826', '#06b6d4', '#cfeff6', `Ready Queue${snap.readyCount ? ` (${snap.readyCount})` : ''}`);
+
+    if (snap.queues) {
+      this._drawQueueLanes(snap.queues);
+      return;
+    }
+    // the pids' rows are tokens (see _tokens)
+    const { rows, size, offset, visible, count } = this._readyRows(snap);
+    for (const row of rows.filter(r => r.more)) {
+      ctx.fillStyle = '#7dd3e0';
+      ctx.font = `${size}px monospace`;
+      ctx.fillText(`+${row.more} more`, row.x + 8, row.y + row.h / 2 + size * 0.35);
+    }
+    this._drawScrollbar(panel, offset, visible, count);
+  }
+
+  // where _drawKeyLine puts things: ready chips on a vertical number line,
+  // pushed down where they would overlap
+  _keyLine(snap) {
+    const { x, y, w, h: height } = this._panels.ready;
+    const values = snap.keys.values;
+    const ready = (snap.ready || []).filter(pid => pid in values);
+    const cpus = [].concat(snap.cpu).filter(pid => pid !== null && pid in values);
+    const all = [...ready, ...cpus].map(pid => values[pid]);
+    const lo = Math.min(...all), hi = Math.max(...all);
+    const top = y + 40, bottom = y + height - 24;
+    const axisX = x + 34;
+    const at = v => hi === lo ? top : top + (v - lo) / (hi - lo) * (bottom - top);
+
+    const chipH = 18, gap = 2;
+    const chips = [];
+    let more = 0;
+    let nextFree = top - chipH / 2;
+    for (let i=0;i<ready.length;i++) {
+      const pid = ready[i];
+      const mark = at(values[pid]);
+      const yy = Math.max(mark - chipH / 2, nextFree);
+      if (yy + chipH > y + height - 4) {
+        more = (snap.readyCount || ready.length) - i;
+        break;
+      }
+      nextFree = yy + chipH + gap;
+      chips.push({ pid, mark, x: axisX + 10, y: yy, w: w - 58, h: chipH });
+    }
+    return { x, y, w, height, values, cpus, empty: all.length === 0, lo, hi, top, bottom, axisX, at, chips, more };
+  }
+
+  // Ready processes ordered by the policy's sort key (CFS: vruntime) on a
+  // vertical number line, lowest - the next pick - at the top. Running
+  // processes are marked on the line in amber. Chips that would overlap
+  // are pushed down; what doesn't fit is counted at the bottom.
+  _drawKeyLine(snap) {
+    const ctx = this.ctx;
+    const { x, y, height, values, cpus, empty, lo, hi, top, bottom, axisX, at, chips, more } = this._keyLine(snap);
+    this._drawPanel(this._panels.ready, '#021826', '#06b6d4', '#cfeff6', `Ready by ${snap.keys.name}${snap.readyCount ? ` (${snap.readyCount})` : ''}`);
+    if (empty) return;
+    const fmt = v => String(Number(v.toFixed(1)));
+
+    ctx.strokeStyle = '#0e4f5c';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(axisX, top);
+    ctx.lineTo(axisX, bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#7dd3e0';
+    ctx.font = '10px monospace';
+    ctx.fillText(fmt(lo), x+4, top+3);
+    if (hi !== lo) ctx.fillText(fmt(hi), x+4, bottom+3);
+
+    for (const pid of cpus) {
+      const yy = at(values[pid]);
+      ctx.fillStyle = '#ffb020';
+      ctx.beginPath();
+      ctx.moveTo(axisX - 8, yy - 5);
+      ctx.lineTo(axisX - 1, yy);
+      ctx.lineTo(axisX - 8, yy + 5);
+      ctx.fill();
+    }
+
+    // tick on the axis, joined to the chip (a token) when it had to move down
+    for (const chip of chips) {
+      ctx.strokeStyle = '#06b6d4';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(axisX - 4, chip.mark);
+      ctx.lineTo(axisX + 4, chip.mark);
+      ctx.lineTo(axisX + 10, chip.y + chip.h / 2);
+      ctx.stroke();
+    }
+    if (more) {
+      ctx.fillStyle = '#7dd3e0';
+      ctx.font = '11px monospace';
+      ctx.fillText(`+${more} more`, axisX + 10, y + height - 8);
+    }
+    for (const pid of cpus) {
+      ctx.fillStyle = '#ffebb0';
+      ctx.font = '10px monospace';
+      ctx.fillText(pid, x + 4, at(values[pid]) + 12);
+    }
+  }
+
+  // blocked chips in rows under the CPU box, smaller ones when the big ones
+  // don't all fit; the last chip that fits counts the rest
+  _blockedChips(list) {
+    const { x, y, w, h } = this._panels.blocked;
+    let chips = [];
+    for (const [chipW, chipH, gap, size] of BLOCKED_CHIPS) {
+      const perRow = Math.max(1, Math.floor((w - 16 + gap) / (chipW + gap)));
+      const capacity = perRow * Math.max(0, Math.floor((h - 32 + gap) / (chipH + gap)));
+      chips = list.slice(0, capacity).map((pid, i) => ({
+        pid, size,
+        more: i === capacity - 1 && list.length > capacity ? list.length - i : 0,
+        x: x + 8 + (i % perRow) * (chipW + gap),
+        y: y + 32 + Math.floor(i / perRow) * (chipH + gap),
+        w: chipW, h: chipH
+      }));
+      if (list.length <= capacity) break;
+    }
+    return chips;
+  }
+
+  // processes waiting for an I/O burst to finish, drawn under the CPU box
+  _drawBlocked(snap) {
+    const ctx = this.ctx;
+    const list = snap.blocked || [];
+    this._drawPanel(this._panels.blocked, '#140d26', '#a78bfa', '#e9e3ff', `Waiting (I/O)${list.length ? ` (${list.length})` : ''}`);
+    for (const chip of this._blockedChips(list).filter(c => c.more)) {
+      ctx.fillStyle = '#2a1a4a';
+      ctx.fillRect(chip.x, chip.y, chip.w, chip.h);
+      ctx.strokeStyle = '#a78bfa';
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(chip.x, chip.y, chip.w, chip.h);
+      ctx.fillStyle = '#f3efff';
+      ctx.font = `${chip.size}px monospace`;
+      ctx.fillText(`+${chip.more}`, chip.x + 6, chip.y + chip.h / 2 + chip.size * 0.35);
+    }
+  }
+
+  // one horizontal lane per queue level (MLFQ); chips wrap inside the lane
+  // and the last one that fits counts the rest
+  _laneChips(queues) {
+    const { x, w } = this._panels.ready;
+    const y = this._panels.ready.y + 28, height = this._panels.ready.h - 28;
+    const laneH = height / queues.length;
+    const chipW = 42, chipH = 20, gap = 4;
+    const perRow = Math.max(1, Math.floor((w - 16 + gap) / (chipW + gap)));
+    const rows = Math.max(1, Math.floor((laneH - 26) / (chipH + gap)));
+    const capacity = rows * perRow;
+    const chips = [];
+    queues.forEach((q, i) => {
+      const ly = y + i * laneH;
+      q.pids.forEach((pid, j) => {
+        if (j >= capacity) return;
+        const overflow = j === capacity - 1 && q.pids.length > capacity;
+        chips.push({
+          pid, more: overflow ? q.pids.length - j : 0,
+          x: x + 8 + (j % perRow) * (chipW + gap),
+          y: ly + 20 + Math.floor(j / perRow) * (chipH + gap),
+          w: chipW, h: chipH
+        });
+      });
+    });
+    return { laneH, chips };
+  }
+
+  _drawQueueLanes(queues) {
+    const ctx = this.ctx;
+    const { x, w } = this._panels.ready, y = this._panels.ready.y + 28;
+    const { laneH, chips } = this._laneChips(queues);
+    queues.forEach((q, i) => {
+      const ly = y + i * laneH;
+      ctx.strokeStyle = '#0e4f5c';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x+4, ly+2, w-8, laneH-4);
+      ctx.fillStyle = '#7dd3e0';
+      ctx.font = '11px monospace';
+      ctx.fillText(q.name, x+10, ly+15);
+    });
+    for (const chip of chips.filter(c => c.more)) {
       ctx.fillStyle = '#042f36';
-      ctx.fillRect(x+8, yy, w-24, itemH);
+      ctx.fillRect(chip.x, chip.y, chip.w, chip.h);
       ctx.strokeStyle = '#06b6d4';
-      ctx.strokeRect(x+8, yy, w-24, itemH);
+      ctx.strokeRect(chip.x, chip.y, chip.w, chip.h);
       ctx.fillStyle = '#e6f9fb';
-      ctx.font = '13px monospace';
-      ctx.fillText(pid, x+16, yy + 19);
+      ctx.font = '11px monospace';
+      ctx.fillText(`+${chip.more}`, chip.x+4, chip.y+14);
     }
   }
 
-  _drawProcesses(snap) {
+  // pid -> its token in this snapshot: { pid, x, y, w, h, size (font px),
+  // fill, stroke, color (text), text }; pids scrolled out of sight have none
+  _tokens(snap) {
+    const tokens = new Map();
+    const put = (pid, box, size, fill, stroke, color, text = pid) =>
+      tokens.set(pid, { pid, x: box.x, y: box.y, w: box.w, h: box.h, size, fill, stroke, color, text });
+
+    const cpus = [].concat(snap.cpu);
+    const switching = snap.switching || [];
+    this._cpuBoxes(cpus.length).forEach(({ slot, size }, i) => {
+      const pid = cpus[i] ?? switching[i];
+      if (!pid) return;
+      // a process being switched in is grey until it runs
+      if (cpus[i]) put(pid, slot, size, '#3a2408', '#ffb020', '#ffebb0');
+      else put(pid, slot, size, '#1f2937', '#6b7280', '#9ca3af', `⇄ ${pid}`);
+    });
+
+    if (snap.keys) {
+      const { chips, values } = this._keyLine(snap);
+      const fmt = v => String(Number(v.toFixed(1)));
+      chips.forEach((chip, i) => put(chip.pid, chip, 11, i === 0 ? '#064e5a' : '#042f36', '#06b6d4', '#e6f9fb', `${chip.pid} ${fmt(values[chip.pid])}`));
+    } else if (snap.queues) {
+      for (const chip of this._laneChips(snap.queues).chips) {
+        if (!chip.more) put(chip.pid, chip, 11, '#042f36', '#06b6d4', '#e6f9fb');
+      }
+    } else {
+      const { rows, size } = this._readyRows(snap);
+      for (const row of rows) {
+        if (row.pid !== null) put(row.pid, row, size, '#042f36', '#06b6d4', '#e6f9fb');
+      }
+    }
+
+    for (const chip of this._blockedChips(snap.blocked || [])) {
+      if (!chip.more) put(chip.pid, chip, chip.size, '#2a1a4a', '#a78bfa', '#f3efff');
+    }
+    return tokens;
+  }
+
+  // Tokens settled where `snap` has them or, mid-step, on their way there
+  // from `prev`: moving ones slide, new ones fade in, ones that left fade out
+  // (with a ring if they completed).
+  _drawTokens(snap, prev, t) {
+    const to = this._tokens(snap);
+    if (!prev) {
+      for (const token of to.values()) this._drawToken(token, 1);
+      return;
+    }
+    const from = this._tokens(prev);
+    const done = this._completions(snap, prev);
+    for (const [pid, a] of from) {
+      if (to.has(pid)) continue;
+      this._drawToken(a, 1 - t);
+      if (done.has(pid)) this._drawRing(a, this._pidColor(pid), t);
+    }
+    const moving = [];
+    for (const [pid, b] of to) {
+      const a = from.get(pid);
+      if (!a) this._drawToken(b, t);
+      else if (a.x === b.x && a.y === b.y && a.w === b.w) this._drawToken(b, 1);
+      else moving.push(lerpToken(a, b, t));
+    }
+    // on top of the ones standing still
+    for (const token of moving) this._drawToken(token, 1);
+  }
+
+  // pids that completed stepping forward from prev to snap
+  _completions(snap, prev) {
+    if (snap.time < prev.time) return new Set();
+    const before = new Map((prev.procs || []).map(p => [p.pid, p.state]));
+    return new Set((snap.procs || []).filter(p => p.state === 'done' && before.get(p.pid) !== 'done').map(p => p.pid));
+  }
+
+  _drawToken(token, alpha) {
+    if (alpha <= 0) return;
     const ctx = this.ctx;
-    const x = 520, y = 120;
-    ctx.fillStyle = '#021822';
-    ctx.fillRect(x,y,440,300);
-    ctx.strokeStyle = '#163a50';
-    ctx.strokeRect(x,y,440,300);
-    ctx.fillStyle = '#cfe7f6';
-    ctx.font = '14px sans-serif';
-    ctx.fillText('Processes (remaining time)', x+12, y+18);
+    const { x, y, w, h, size } = token;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = token.fill;
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = token.stroke;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(x, y, w, h);
+    ctx.fillStyle = this._pidColor(token.pid);
+    ctx.fillRect(x, y, 4, h);
+    ctx.fillStyle = token.color;
+    ctx.font = `${Math.round(size)}px monospace`;
+    ctx.fillText(this._fit(String(token.text), w - 12), x + 9, y + h / 2 + size * 0.35);
+    ctx.restore();
+  }
+
+  // a completion flourish: a ring in the process's colour that grows and fades
+  _drawRing(box, color, t) {
+    const ctx = this.ctx;
+    const grow = 3 + 14 * t;
+    ctx.save();
+    ctx.globalAlpha = 1 - t;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(box.x - grow, box.y - grow, box.w + 2 * grow, box.h + 2 * grow);
+    ctx.restore();
+  }
+
+  // the process panel's layout for `count` processes (see PROC_MODES); cell
+  // i of the rows scrolled into view sits at cell(i)
+  _procGrid(count) {
+    const { x, y, w, h } = this._panels.procs;
+    const areaW = w - 32, areaH = h - 36;   // room for the title and a scrollbar
+    for (const mode of PROC_MODES) {
+      const cols = Math.max(1, Math.floor((areaW + mode.gap) / (mode.minW + mode.gap)));
+      const rows = Math.ceil(count / cols);
+      const visible = Math.max(1, Math.floor((areaH + mode.gap) / (mode.h + mode.gap)));
+      if (rows > visible && mode !== PROC_MODES.at(-1)) continue;
+      const maxScroll = Math.max(0, rows - visible);
+      const offset = Math.min(this._scroll.procs, maxScroll);
+      const cellW = (areaW - mode.gap * (cols - 1)) / cols;
+      return {
+        mode: mode.name, rows, visible, offset, maxScroll,
+        first: offset * cols, last: Math.min(count, (offset + visible) * cols),
+        cell: i => ({
+          x: x + 12 + (i % cols) * (cellW + mode.gap),
+          y: y + 28 + (Math.floor(i / cols) - offset) * (mode.h + mode.gap),
+          w: cellW, h: mode.h
+        })
+      };
+    }
+  }
 
+  // one cell per process with a bar of its remaining time; cells of
+  // processes yet to arrive are dimmed and fade in when they do
+  _drawProcesses(snap, prev, t) {
+    const panel = this._panels.procs;
     const procs = snap.procs || [];
-    const cols = 3;
-    const itemW = 420/cols;
-    const itemH = 60;
-    for (let i=0;i<procs.length;i++){
+    this._drawPanel(panel, '#021822', '#163a50', '#cfe7f6', `Processes (${procs.length}) · remaining time`);
+
+    const onCpu = new Set([].concat(snap.cpu).filter(Boolean));
+    const before = new Map((prev?.procs || []).map(p => [p.pid, p.state]));
+    const done = prev ? this._completions(snap, prev) : new Set();
+    const shown = state => state === 'new' ? 0.35 : 1;
+    const grid = this._procGrid(procs.length);
+    for (let i = grid.first; i < grid.last; i++) {
       const p = procs[i];
-      const col = i % cols, row = Math.floor(i/cols);
-      const xx = x + 12 + col * itemW;
-      const yy = y + 28 + row * (itemH+12);
-      // box
-      ctx.fillStyle = p.pid === snap.cpu ? '#2b1608' : (p.remaining===0 ? '#0b2a18' : '#071922');
-      ctx.fillRect(xx, yy, itemW-18, itemH);
-      ctx.strokeStyle = p.pid === snap.cpu ? '#ffb020' : '#163a50';
-      ctx.strokeRect(xx, yy, itemW-18, itemH);
-      ctx.fillStyle = '#e9f6ff';
+      const cell = grid.cell(i);
+      this.ctx.save();
+      this.ctx.globalAlpha = lerp(shown(before.get(p.pid) ?? p.state), shown(p.state), t);
+      this._drawProcess(p, cell, grid.mode, onCpu.has(p.pid));
+      this.ctx.restore();
+      if (done.has(p.pid)) this._drawRing(cell, '#34d399', t);
+    }
+    this._drawScrollbar(panel, grid.offset, grid.visible, grid.rows);
+  }
+
+  _drawProcess(p, { x, y, w, h }, mode, running) {
+    const ctx = this.ctx;
+    const blocked = p.state === 'blocked';
+    ctx.fillStyle = running ? '#2b1608' : (p.remaining===0 ? '#0b2a18' : (blocked ? '#1c1233' : '#071922'));
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = running ? '#ffb020' : (blocked ? '#a78bfa' : '#163a50');
+    ctx.lineWidth = mode === 'cards' ? 2 : 1;
+    ctx.strokeRect(x, y, w, h);
+    ctx.fillStyle = this._pidColor(p.pid);
+    ctx.fillRect(x, y, mode === 'mini' ? 3 : 4, h);
+
+    const left = p.burst > 0 ? p.remaining / p.burst : 0;
+    const bar = (bx, by, bw, bh) => {
+      ctx.fillStyle = '#0b2433';
+      ctx.fillRect(bx, by, bw, bh);
+      ctx.fillStyle = this._pidColor(p.pid);
+      ctx.fillRect(bx, by, bw * left, bh);
+    };
+    ctx.fillStyle = '#e9f6ff';
+    if (mode === 'cards') {
       ctx.font = '13px monospace';
-      ctx.fillText(`${p.pid}`, xx+8, yy+20);
-      ctx.fillText(`Rem: ${p.remaining}`, xx+8, yy+40);
+      ctx.fillText(this._fit(String(p.pid), w - 16), x+10, y+18);
+      ctx.fillText(this._fit(`Rem: ${p.remaining}/${p.burst}`, w - 16), x+10, y+36);
+      bar(x + 10, y + 44, w - 20, 6);
+    } else if (mode === 'rows') {
+      ctx.font = '11px monospace';
+      ctx.fillText(this._fit(String(p.pid), 48), x+8, y+14);
+      const text = `${p.remaining}/${p.burst}`;
+      const textW = Math.min(ctx.measureText(text).width, 56);
+      ctx.fillText(this._fit(text, 56), x + w - 4 - textW, y+14);
+      bar(x + 60, y + 7, Math.max(0, w - 72 - textW), 6);
+    } else {
+      ctx.font = '9px monospace';
+      ctx.fillText(this._fit(String(p.pid), w - 8), x+5, y+9);
+      bar(x + 5, y + h - 3, w - 8, 2);
     }
   }
 }
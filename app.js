@@ -1,23 +1,70 @@
 // app.js
-import { simulate } from './scheduler.js';
+import { simulate, getPolicy, listPolicies } from './scheduler.js';
 import { Animator } from './animation.js';
-import { uid, downloadJSON, saveDataURL } from './utils.js';
+import { uid, downloadJSON, downloadText, downloadBlob, saveDataURL } from './utils.js';
+import { drawGanttChart, traceEndTime, traceSegments, GanttChart, ganttSVG, ganttColors } from './gantt.js';
+import { generateWorkload } from './workload.js';
+import { parseMLFQLevels, formatMLFQLevels, validateRows, parseWorkload, buildTraceExport, encodeScenario, decodeScenario, RESULT_COLUMNS, buildResultsCSV, buildReport } from './formats.js';
+import { runCustomPolicy, CUSTOM_POLICY, POLICY_TEMPLATE } from './custom-policy.js';
+import { schedulability, timingMarks, taskColorKey } from './realtime.js';
+import { QUIZ_LEVELS, makeQuiz, gradeQuiz, formatOrder, revealTrace } from './quiz.js';
+import { recordPlayback } from './recording.js';
 
 const canvas = document.getElementById('vis-canvas');
+const ganttCanvas = document.getElementById('gantt-canvas');
 const animator = new Animator(canvas, 1000, 480);
+// draw at the size style.css gives the canvas
+new ResizeObserver(() => animator.resize()).observe(canvas);
+// clicking the chart jumps playback there; one snapshot per time unit, so the time is the index
+const ganttChart = new GanttChart(ganttCanvas, { onSeek: time => { animator.pause(); animator.jumpTo(time); } });
+const ganttLanes = document.getElementById('gantt-lanes');
 
 // UI elems
 const procTableBody = document.querySelector('#proc-table tbody');
 const addProcBtn = document.getElementById('add-proc');
 const clearProcsBtn = document.getElementById('clear-procs');
+const importBtn = document.getElementById('import-workload');
+const importFile = document.getElementById('import-file');
+const importErrors = document.getElementById('import-errors');
 const loadSampleBtn = document.getElementById('load-sample');
+const rtTasks = document.getElementById('rt-tasks');
+const taskTableBody = document.querySelector('#task-table tbody');
+const addTaskBtn = document.getElementById('add-task');
+const clearTasksBtn = document.getElementById('clear-tasks');
+const loadRtSampleBtn = document.getElementById('load-rt-sample');
+const horizonInput = document.getElementById('horizon');
+const rtCheck = document.getElementById('rt-check');
 const runSimBtn = document.getElementById('run-sim');
 const algorithmSelect = document.getElementById('algorithm');
 const quantumInput = document.getElementById('quantum');
+const quantumLabel = document.getElementById('quantum-label');
 const mlqOpts = document.getElementById('mlq-opts');
 const mlqFgQuantum = document.getElementById('mlq-fg-quantum');
 const mlqBgQuantum = document.getElementById('mlq-bg-quantum');
+const mlfqOpts = document.getElementById('mlfq-opts');
+const mlfqLevels = document.getElementById('mlfq-levels');
+const mlfqAging = document.getElementById('mlfq-aging');
+const mlfqBoost = document.getElementById('mlfq-boost');
+const cfsOpts = document.getElementById('cfs-opts');
+const cfsLatency = document.getElementById('cfs-latency');
+const cfsMinGranularity = document.getElementById('cfs-min-granularity');
+const lotteryOpts = document.getElementById('lottery-opts');
+const lotterySeed = document.getElementById('lottery-seed');
 const speedSlider = document.getElementById('speed');
+const generateBtn = document.getElementById('generate');
+const genArrival = document.getElementById('gen-arrival');
+const genBurst = document.getElementById('gen-burst');
+const coresInput = document.getElementById('cores');
+const coreQueuesSelect = document.getElementById('core-queues');
+const workStealing = document.getElementById('work-stealing');
+const affinityInput = document.getElementById('affinity');
+const contextSwitchInput = document.getElementById('context-switch');
+
+const policyCode = document.getElementById('policy-code');
+const policyGutter = document.getElementById('policy-gutter');
+const policyError = document.getElementById('policy-error');
+const runPolicyBtn = document.getElementById('run-policy');
+const resetPolicyBtn = document.getElementById('reset-policy');
 
 const playBtn = document.getElementById('play');
 const pauseBtn = document.getElementById('pause');
@@ -28,30 +75,83 @@ const fastfwd = document.getElementById('fastfwd');
 const timeline = document.getElementById('timeline');
 
 const exportScreenshot = document.getElementById('export-screenshot');
+const exportFrameSvg = document.getElementById('export-frame-svg');
+const exportGanttSvg = document.getElementById('export-gantt-svg');
+const exportReport = document.getElementById('export-report');
+const recordFormat = document.getElementById('record-format');
+const recordFrames = document.getElementById('record-frames');
+const recordBtn = document.getElementById('record');
 const exportTrace = document.getElementById('export-trace');
+const copyLinkBtn = document.getElementById('copy-link');
 
 const traceOutput = document.getElementById('trace-output');
+const explainPanel = document.getElementById('explain');
+const explainContent = document.getElementById('explain-content');
+
+const compareAlgos = document.getElementById('compare-algos');
+const runCompareBtn = document.getElementById('run-compare');
+const compareTableBody = document.querySelector('#compare-table tbody');
+const compareGantts = document.getElementById('compare-gantts');
 
 const statCt = document.getElementById('stat-ct');
 const statWt = document.getElementById('stat-wt');
 const statTt = document.getElementById('stat-tt');
 const statTh = document.getElementById('stat-th');
+const statRt = document.getElementById('stat-rt');
+const statUtil = document.getElementById('stat-util');
+const statCs = document.getElementById('stat-cs');
+const statIdle = document.getElementById('stat-idle');
+const statWmax = document.getElementById('stat-wmax');
+const statFair = document.getElementById('stat-fair');
+const statMissRow = document.getElementById('stat-miss-row');
+const statMiss = document.getElementById('stat-miss');
+const shareStats = document.getElementById('share-stats');
+const shareTableBody = document.querySelector('#share-table tbody');
+
+const resultsHead = document.querySelector('#results-table thead tr');
+const resultsBody = document.querySelector('#results-table tbody');
+const exportResults = document.getElementById('export-results');
 
 let currentSimulation = null;
 
-function createRow(pid = uid('P'), arrival = 0, burst = 1, priority = 1) {
+// a table row of inputs: [class, value, attributes] per cell, between the
+// row number and a Delete button. Values come from links and imported files,
+// so they are set as properties, never parsed as HTML.
+function inputRow(cells, onDelete) {
   const tr = document.createElement('tr');
-  tr.innerHTML = `
-    <td class="idx"></td>
-    <td><input class="pid" value="${pid}" /></td>
-    <td><input class="arrival" type="number" value="${arrival}" min="0" /></td>
-    <td><input class="burst" type="number" value="${burst}" min="1" /></td>
-    <td><input class="priority" type="number" value="${priority}" /></td>
-    <td><button class="del">Delete</button></td>
-  `;
-  procTableBody.appendChild(tr);
+  const idx = document.createElement('td');
+  idx.className = 'idx';
+  tr.appendChild(idx);
+  for (const [className, value, attrs = {}] of cells) {
+    const input = document.createElement('input');
+    input.className = className;
+    for (const [name, v] of Object.entries(attrs)) input.setAttribute(name, v);
+    input.value = value ?? '';
+    const td = document.createElement('td');
+    td.appendChild(input);
+    tr.appendChild(td);
+  }
+  const del = document.createElement('button');
+  del.className = 'del';
+  del.textContent = 'Delete';
+  del.addEventListener('click', ()=> { tr.remove(); onDelete(); });
+  const td = document.createElement('td');
+  td.appendChild(del);
+  tr.appendChild(td);
+  return tr;
+}
+
+// burst: a single CPU burst, or an array of alternating CPU / I/O bursts
+function createRow(pid = uid('P'), arrival = 0, burst = 1, priority = 1, tickets = '') {
+  const bursts = Array.isArray(burst) ? burst.join(', ') : burst;
+  procTableBody.appendChild(inputRow([
+    ['pid', pid],
+    ['arrival', arrival, { type: 'number', min: 0 }],
+    ['burst', bursts, { type: 'text', placeholder: '5 or 4, 3, 2' }],
+    ['priority', priority, { type: 'number' }],
+    ['tickets', tickets, { type: 'number', min: 1, placeholder: 'auto' }]
+  ], updateIndices));
   updateIndices();
-  tr.querySelector('.del').addEventListener('click', ()=>{ tr.remove(); updateIndices(); });
 }
 
 function updateIndices() {
@@ -72,123 +172,831 @@ loadSampleBtn.addEventListener('click', ()=> {
   createRow('P4', 3, 6, 2);
 });
 
-algorithmSelect.addEventListener('change', (e) => {
-  const val = e.target.value;
-  // show/hide quantum / mlq options depending on algorithm
-  document.getElementById('quantum-label').style.display = (val === 'RR') ? 'inline-block' : 'none';
-  mlqOpts.style.display = (val === 'MLQ') ? 'inline-block' : 'none';
+// ⏱️ Periodic tasks: one row per task, run as one job per period
+function createTaskRow(task = uid('T'), execution = 1, period = 5, deadline = '', offset = 0) {
+  taskTableBody.appendChild(inputRow([
+    ['pid', task],
+    ['execution', execution, { type: 'number', min: 1 }],
+    ['period', period, { type: 'number', min: 1 }],
+    ['deadline', deadline, { type: 'number', min: 1, placeholder: 'T' }],
+    ['offset', offset, { type: 'number', min: 0 }]
+  ], updateTaskIndices));
+  updateTaskIndices();
+}
+
+function updateTaskIndices() {
+  [...taskTableBody.querySelectorAll('tr')].forEach((tr, i) => {
+    tr.querySelector('.idx').textContent = (i+1);
+  });
+  updateSchedulability();
+}
+
+addTaskBtn.addEventListener('click', ()=> createTaskRow());
+clearTasksBtn.addEventListener('click', ()=> { taskTableBody.innerHTML = ''; updateSchedulability(); });
+taskTableBody.addEventListener('input', ()=> updateSchedulability());
+
+loadRtSampleBtn.addEventListener('click', ()=> {
+  procTableBody.innerHTML = '';
+  taskTableBody.innerHTML = '';
+  // U = 2/5 + 4/7 = 0.97: above the RM bound for two tasks (0.83), so RM
+  // misses T2's first deadline while EDF meets every one
+  createTaskRow('T1', 2, 5);
+  createTaskRow('T2', 4, 7);
 });
 
-runSimBtn.addEventListener('click', ()=> {
-  const algorithm = algorithmSelect.value;
-  const procs = [];
-  for (const tr of procTableBody.querySelectorAll('tr')) {
-    const pid = tr.querySelector('.pid').value || uid('P');
-    const arrival = Number(tr.querySelector('.arrival').value) || 0;
-    const burst = Number(tr.querySelector('.burst').value) || 1;
-    const priority = Number(tr.querySelector('.priority').value) || 0;
-    procs.push({pid, arrival, burst, priority});
+// task rows in validateRows() form: C is the burst, the offset the arrival
+function readTaskRows() {
+  return [...taskTableBody.querySelectorAll('tr')].map((tr, i) => ({
+    row: i + 1,
+    pid: tr.querySelector('.pid').value || uid('T'),
+    arrival: tr.querySelector('.offset').value,
+    burst: tr.querySelector('.execution').value,
+    period: tr.querySelector('.period').value,
+    deadline: tr.querySelector('.deadline').value
+  }));
+}
+
+// The utilization tests of realtime.js, shown before any run; the line of
+// the selected algorithm is highlighted
+const VERDICTS = new Map([[true, ['yes', 'schedulable']], [false, ['no', 'not schedulable']], [null, ['maybe', 'inconclusive']]]);
+
+function updateSchedulability() {
+  const tasks = readTaskRows()
+    .map(r => ({ burst: Number(r.burst), period: Number(r.period), deadline: r.deadline === '' ? null : Number(r.deadline) }))
+    .filter(t => t.burst > 0 && t.period > 0 && (t.deadline === null || t.deadline > 0));
+  rtCheck.innerHTML = '';
+  if (tasks.length === 0) {
+    rtCheck.textContent = 'Add tasks to see whether RM and EDF can meet every deadline.';
+    return;
+  }
+  const check = schedulability(tasks);
+  const line = (...parts) => {
+    const p = document.createElement('p');
+    p.append(...parts);
+    rtCheck.appendChild(p);
+    return p;
+  };
+  line(`U = ${check.utilization.toFixed(3)} over ${check.n} task${check.n === 1 ? '' : 's'}`);
+  for (const [id, verdict] of [['RM', check.rm], ['EDF', check.edf]]) {
+    const [cls, word] = VERDICTS.get(verdict.schedulable);
+    const b = document.createElement('b');
+    b.textContent = word;
+    const p = line(`${id}: `, b, ` (${verdict.reason})`);
+    p.className = `verdict ${cls}${algorithmSelect.value === id ? ' current' : ''}`;
+  }
+}
+
+// 🎲 Workload generator: only show the parameters of the chosen distributions
+function updateGeneratorFields() {
+  document.querySelectorAll('[data-gen-arrival]').forEach(el => {
+    el.style.display = el.dataset.genArrival === genArrival.value ? '' : 'none';
+  });
+  document.querySelectorAll('[data-gen-burst]').forEach(el => {
+    el.style.display = el.dataset.genBurst === genBurst.value ? '' : 'none';
+  });
+}
+genArrival.addEventListener('change', updateGeneratorFields);
+genBurst.addEventListener('change', updateGeneratorFields);
+updateGeneratorFields();
+
+generateBtn.addEventListener('click', ()=> {
+  const num = id => Number(document.getElementById(id).value);
+  const procs = generateWorkload({
+    count: Math.max(1, Math.floor(num('gen-count')) || 1),
+    seed: num('gen-seed'),
+    arrival: { type: genArrival.value, rate: num('gen-rate'), max: num('gen-arrival-max') },
+    burst: {
+      type: genBurst.value,
+      mean: num('gen-mean'),
+      min: num('gen-burst-min'),
+      max: num('gen-burst-max'),
+      short: num('gen-short'),
+      long: num('gen-long'),
+      cpuBound: num('gen-cpu-bound') / 100
+    },
+    priority: { min: num('gen-prio-min'), max: num('gen-prio-max') }
+  });
+  fillTable(procs);
+});
+
+// simulate() option -> the control that edits it
+const optionControls = {
+  quantum: quantumLabel,
+  mlqFgQuantum: mlqOpts,
+  mlqBgQuantum: mlqOpts,
+  mlfqLevels: mlfqOpts,
+  mlfqAging: mlfqOpts,
+  mlfqBoost: mlfqOpts,
+  cfsLatency: cfsOpts,
+  cfsMinGranularity: cfsOpts,
+  seed: lotteryOpts
+};
+
+const policyUses = (algorithm, option) => (getPolicy(algorithm)?.options ?? []).includes(option);
+
+function showAlgorithmOptions() {
+  // show the controls of the options the selected policy reads
+  for (const el of new Set(Object.values(optionControls))) el.style.display = 'none';
+  for (const [option, el] of Object.entries(optionControls)) {
+    if (policyUses(algorithmSelect.value, option)) el.style.display = 'inline-block';
+  }
+}
+
+const REALTIME_POLICIES = ['RM', 'EDF'];
+
+algorithmSelect.addEventListener('change', ()=> {
+  showAlgorithmOptions();
+  if (REALTIME_POLICIES.includes(algorithmSelect.value)) rtTasks.open = true;
+  updateSchedulability();
+});
+
+// 🧩 The algorithm dropdown and the compare checkboxes are built from the
+// policy registry; call again after registerPolicy()
+function populateAlgorithms() {
+  const selected = algorithmSelect.value;
+  const unchecked = new Set([...compareAlgos.querySelectorAll('input:not(:checked)')].map(i => i.value));
+  algorithmSelect.innerHTML = '';
+  compareAlgos.innerHTML = '';
+  // the editor's policy only exists inside its worker, so it isn't in the registry
+  for (const policy of [...listPolicies(), { id: CUSTOM_POLICY, label: 'Custom (editor)' }]) {
+    algorithmSelect.add(new Option(policy.label, policy.id));
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = policy.id;
+    box.checked = !unchecked.has(policy.id);
+    label.append(box, ` ${policy.id}`);
+    label.title = policy.label;
+    compareAlgos.appendChild(label);
+  }
+  if (getPolicy(selected) || selected === CUSTOM_POLICY) algorithmSelect.value = selected;
+  showAlgorithmOptions();
+}
+
+populateAlgorithms();
+updateSchedulability();
+
+// ✍️ Custom algorithm editor: the code runs in a worker (custom-policy.js) and
+// errors are pinned under the line that raised them
+const POLICY_STORAGE_KEY = 'scheduler.customPolicy';
+let policyErrorLine = null;
+
+policyCode.value = localStorage.getItem(POLICY_STORAGE_KEY) ?? POLICY_TEMPLATE;
+
+function updateGutter() {
+  const count = policyCode.value.split('\n').length;
+  policyGutter.innerHTML = Array.from({ length: count }, (_, i) =>
+    i + 1 === policyErrorLine ? `<span class="error-line">${i + 1}</span>` : String(i + 1)
+  ).join('\n');
+  policyGutter.scrollTop = policyCode.scrollTop;
+  placePolicyError();
+}
+
+// keep the message just below its line as the editor scrolls
+function placePolicyError() {
+  if (policyError.hidden) return;
+  const style = getComputedStyle(policyCode);
+  const top = parseFloat(style.paddingTop) + (policyErrorLine ?? 0) * parseFloat(style.lineHeight);
+  policyError.style.top = `${top - policyCode.scrollTop}px`;
+}
+
+function showPolicyError(err) {
+  policyErrorLine = err.line ?? null;
+  policyError.textContent = err.reason ?? err.message;
+  policyError.hidden = false;
+  policyCode.closest('details').open = true;
+  if (policyErrorLine) {
+    // select the offending line, which also scrolls it into view
+    const lines = policyCode.value.split('\n');
+    const start = lines.slice(0, policyErrorLine - 1).join('\n').length + (policyErrorLine > 1 ? 1 : 0);
+    policyCode.focus();
+    policyCode.setSelectionRange(start, start + lines[policyErrorLine - 1].length);
+  }
+  updateGutter();
+}
+
+function clearPolicyError() {
+  policyErrorLine = null;
+  policyError.hidden = true;
+  updateGutter();
+}
+
+// -> simulate()-style result, or null after showing the error in the editor
+async function runEditorPolicy(procs, opts) {
+  clearPolicyError();
+  try {
+    return await runCustomPolicy(policyCode.value, procs, opts);
+  } catch (err) {
+    showPolicyError(err);
+    return null;
   }
-  if (procs.length === 0) {
-    alert('Add at least one process.');
+}
+
+policyCode.addEventListener('input', ()=> {
+  localStorage.setItem(POLICY_STORAGE_KEY, policyCode.value);
+  if (!policyError.hidden) clearPolicyError();
+  else updateGutter();
+});
+policyCode.addEventListener('scroll', ()=> {
+  policyGutter.scrollTop = policyCode.scrollTop;
+  placePolicyError();
+});
+policyCode.addEventListener('keydown', (e)=> {
+  if (e.key !== 'Tab' || e.shiftKey) return;
+  e.preventDefault();
+  policyCode.setRangeText('  ', policyCode.selectionStart, policyCode.selectionEnd, 'end');
+  policyCode.dispatchEvent(new Event('input'));
+});
+
+runPolicyBtn.addEventListener('click', ()=> {
+  algorithmSelect.value = CUSTOM_POLICY;
+  showAlgorithmOptions();
+  runSimBtn.click();
+});
+
+resetPolicyBtn.addEventListener('click', ()=> {
+  policyCode.value = POLICY_TEMPLATE;
+  localStorage.removeItem(POLICY_STORAGE_KEY);
+  clearPolicyError();
+});
+
+updateGutter();
+
+// periodic tasks go to the task table, everything else to the process table
+function fillTable(procs) {
+  procTableBody.innerHTML = '';
+  taskTableBody.innerHTML = '';
+  for (const p of procs) {
+    if (p.period != null) createTaskRow(p.pid, p.burst, p.period, p.deadline, p.arrival);
+    else createRow(p.pid, p.arrival, p.bursts ?? p.burst, p.priority, p.tickets);
+  }
+  if (procs.some(p => p.period != null)) rtTasks.open = true;
+  updateSchedulability();
+}
+
+// inverse of readOptions(): put saved options back into the controls
+function applyOptions(algorithm, opts = {}) {
+  algorithmSelect.value = algorithm;
+  showAlgorithmOptions();
+  updateSchedulability();
+  if (opts.quantum != null) quantumInput.value = opts.quantum;
+  if (opts.mlqFgQuantum != null) mlqFgQuantum.value = opts.mlqFgQuantum;
+  if (opts.mlqBgQuantum != null) mlqBgQuantum.value = opts.mlqBgQuantum;
+  if (opts.mlfqLevels) mlfqLevels.value = formatMLFQLevels(opts.mlfqLevels);
+  mlfqAging.value = opts.mlfqAging ?? '';
+  mlfqBoost.value = opts.mlfqBoost ?? '';
+  if (opts.cfsLatency != null) cfsLatency.value = opts.cfsLatency;
+  if (opts.cfsMinGranularity != null) cfsMinGranularity.value = opts.cfsMinGranularity;
+  if (opts.seed != null) lotterySeed.value = opts.seed;
+  horizonInput.value = opts.horizon ?? '';
+  contextSwitchInput.value = opts.contextSwitch ?? 0;
+  coresInput.value = opts.cores ?? 1;
+  coreQueuesSelect.value = opts.coreQueues ?? 'global';
+  workStealing.checked = opts.balance === 'steal';
+  affinityInput.checked = !!opts.affinity;
+}
+
+// 📂 Import a CSV / JSON workload or a downloaded trace
+// a WorkloadError message already lists one bad row per line
+function showImportErrors(err) {
+  importErrors.textContent = `Import failed:\n${err.message}`;
+  importErrors.hidden = false;
+}
+
+importBtn.addEventListener('click', ()=> importFile.click());
+
+importFile.addEventListener('change', async ()=> {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+  importErrors.hidden = true;
+  let workload;
+  try {
+    workload = parseWorkload(await file.text(), file.name);
+  } catch (err) {
+    showImportErrors(err);
     return;
   }
+  fillTable(workload.procs);
+  // a downloaded trace carries its algorithm and options: reproduce the run
+  if (workload.algorithm) {
+    applyOptions(workload.algorithm, workload.opts);
+    runSimBtn.click();
+  }
+});
+
+// process and task rows -> [{pid, arrival, burst, bursts?, priority,
+// tickets?, period?, deadline?}]; throws on bad input
+function readProcesses() {
+  const rows = [...procTableBody.querySelectorAll('tr')].map((tr, i) => ({
+    row: i + 1,
+    pid: tr.querySelector('.pid').value || uid('P'),
+    arrival: tr.querySelector('.arrival').value,
+    burst: tr.querySelector('.burst').value,
+    priority: tr.querySelector('.priority').value,
+    tickets: tr.querySelector('.tickets').value
+  }));
+  const taskRows = readTaskRows();
+  if (rows.length === 0 && taskRows.length === 0) throw new Error('Add at least one process or periodic task.');
+  const procs = rows.length > 0 ? validateRows(rows) : [];
+  if (taskRows.length === 0) return procs;
+
+  const noPeriod = taskRows.find(r => r.period.trim() === '');
+  if (noPeriod) throw new Error(`Periodic task row ${noPeriod.row}: missing period`);
+  let tasks;
+  try {
+    tasks = validateRows(taskRows);
+  } catch (err) {
+    throw new Error(`Periodic tasks:\n${err.message}`);
+  }
+  const clash = tasks.find(t => procs.some(p => p.pid === t.pid));
+  if (clash) throw new Error(`Task ${clash.pid} has the same name as a process.`);
+  return [...procs, ...tasks];
+}
 
-  // build options based on algorithm
+// build options based on algorithm; throws on bad input
+function readOptions(algorithm) {
   const opts = {};
-  if (algorithm === 'RR') {
-    opts.quantum = Number(quantumInput.value) || 4;
-  } else if (algorithm === 'MLQ') {
-    opts.mlqFgQuantum = Number(mlqFgQuantum.value) || 2;
-    opts.mlqBgQuantum = mlqBgQuantum.value ? Number(mlqBgQuantum.value) : null;
+  const uses = option => policyUses(algorithm, option);
+  if (uses('quantum')) opts.quantum = Number(quantumInput.value) || 4;
+  if (uses('mlqFgQuantum')) opts.mlqFgQuantum = Number(mlqFgQuantum.value) || 2;
+  if (uses('mlqBgQuantum')) opts.mlqBgQuantum = mlqBgQuantum.value ? Number(mlqBgQuantum.value) : null;
+  if (uses('mlfqLevels')) opts.mlfqLevels = parseMLFQLevels(mlfqLevels.value);
+  if (uses('mlfqAging')) opts.mlfqAging = mlfqAging.value ? Number(mlfqAging.value) : null;
+  if (uses('mlfqBoost')) opts.mlfqBoost = mlfqBoost.value ? Number(mlfqBoost.value) : null;
+  if (uses('cfsLatency')) opts.cfsLatency = Number(cfsLatency.value) || 12;
+  if (uses('cfsMinGranularity')) opts.cfsMinGranularity = Number(cfsMinGranularity.value) || 2;
+  if (uses('seed')) opts.seed = Number(lotterySeed.value);
+
+  const horizon = Math.floor(Number(horizonInput.value));
+  if (horizon >= 1) opts.horizon = horizon;
+
+  const contextSwitch = Math.max(0, Number(contextSwitchInput.value) || 0);
+  if (contextSwitch > 0) opts.contextSwitch = contextSwitch;
+
+  const cores = Math.max(1, Number(coresInput.value) || 1);
+  if (cores > 1) {
+    opts.cores = cores;
+    opts.coreQueues = coreQueuesSelect.value;
+    opts.balance = workStealing.checked ? 'steal' : 'none';
+    opts.affinity = affinityInput.checked;
+  }
+  return opts;
+}
+
+runSimBtn.addEventListener('click', async ()=> {
+  const algorithm = algorithmSelect.value;
+  let procs, opts;
+  try {
+    procs = readProcesses();
+    opts = readOptions(algorithm);
+  } catch (err) {
+    alert(err.message);
+    return;
   }
 
-  const sim = simulate(algorithm, procs, opts);
+  let sim;
+  if (algorithm === CUSTOM_POLICY) {
+    runSimBtn.disabled = runPolicyBtn.disabled = true;
+    sim = await runEditorPolicy(procs, opts);
+    runSimBtn.disabled = runPolicyBtn.disabled = false;
+    if (!sim) return;
+  } else {
+    // valid input can still fail to run, e.g. no job released before the
+    // horizon; the last run stays on screen
+    try {
+      sim = simulate(algorithm, procs, opts);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+  }
   currentSimulation = {procs, algorithm, opts, sim};
 
+  loadExplanations(sim.trace);
+  animator.colorOf = ganttColors(sim.trace, { colorKey: taskColorKey(sim.stats) });
   animator.loadHistory(sim.historySnapshots);
   animator.setSpeed(Number(speedSlider.value));
   timeline.max = Math.max(0, sim.historySnapshots.length - 1);
   timeline.value = 0;
   updateStats(sim.stats);
+  showShares(sim.stats.shares, TICKET_POLICIES.includes(algorithm) || procs.some(p => p.tickets != null));
+  showResults(sim.stats.processes);
   showTrace(sim.trace);
-  drawGanttChart(sim.trace); // <-- 🔥 Draw Gantt Chart after sim
+  showExplanation();
+  ganttChart.setTrace(sim.trace, { colorKey: taskColorKey(sim.stats), marks: timingMarks(sim.stats), lanes: ganttLanes.value });
+  ganttChart.setPlayhead(0);
+  updateLocationHash();
 });
 
+// 🔗 Shareable links: the last run and the timeline position live in the URL hash
+function updateLocationHash() {
+  if (!currentSimulation) return;
+  const { algorithm, opts, procs } = currentSimulation;
+  // the editor's code isn't part of the link
+  if (algorithm === CUSTOM_POLICY) {
+    if (location.hash) history.replaceState(null, '', location.pathname + location.search);
+    return;
+  }
+  const snap = animator.history.at(animator.current);
+  history.replaceState(null, '', `#${encodeScenario({ algorithm, opts, procs, time: snap?.time })}`);
+}
+
+// returns false when the hash holds no scenario
+function restoreFromHash() {
+  let scenario;
+  try {
+    scenario = decodeScenario(location.hash);
+  } catch (err) {
+    alert(`Could not open the shared scenario:\n${err.message}`);
+    return false;
+  }
+  if (!scenario) return false;
+  fillTable(scenario.procs);
+  applyOptions(scenario.algorithm, scenario.opts);
+  runSimBtn.click();
+  // one snapshot per time unit: the index is the time
+  if (scenario.time !== null) animator.jumpTo(scenario.time);
+  return true;
+}
+
+window.addEventListener('hashchange', restoreFromHash);
+
 function updateStats(stats) {
   statCt.textContent = stats.makespan.toFixed(2);
   statWt.textContent = stats.avgWaiting.toFixed(2);
   statTt.textContent = stats.avgTurnaround.toFixed(2);
+  statRt.textContent = stats.avgResponse.toFixed(2);
   statTh.textContent = stats.throughput.toFixed(3);
+  const pct = u => `${(u * 100).toFixed(0)}%`;
+  statUtil.textContent = stats.coreUtilization.length > 1
+    ? `${pct(stats.cpuUtilization)} (${stats.coreUtilization.map((u, c) => `C${c} ${pct(u)}`).join(' · ')})`
+    : pct(stats.cpuUtilization);
+  statCs.textContent = `${stats.contextSwitches} (${stats.switchTime} units lost)`;
+  statIdle.textContent = stats.idleTime;
+  statWmax.textContent = `${stats.maxWaiting} / ${stats.stdWaiting.toFixed(2)}`;
+  statFair.textContent = stats.fairness.toFixed(3);
+  // only runs with deadlines have them
+  const deadlines = stats.deadlines;
+  statMissRow.hidden = !deadlines;
+  if (deadlines) {
+    const { missed, total } = deadlines;
+    const listed = missed.slice(0, 3).map(m => `${m.pid} +${m.lateness}`).join(', ');
+    statMiss.textContent = missed.length === 0
+      ? `0 of ${total}`
+      : `${missed.length} of ${total} (${listed}${missed.length > 3 ? ', ...' : ''})`;
+  }
+}
+
+// 🎟️ Proportional share: CPU share each process was entitled to by its
+// tickets next to the share it got; the bar marks entitled (line) and actual
+const TICKET_POLICIES = ['LOTTERY', 'STRIDE'];
+
+function showShares(shares, visible) {
+  shareStats.hidden = !visible;
+  shareTableBody.innerHTML = '';
+  if (!visible) return;
+  const pct = v => `${(v * 100).toFixed(1)}%`;
+  const scale = Math.max(...shares.map(s => Math.max(s.entitled, s.actual)));
+  for (const s of shares) {
+    const tr = document.createElement('tr');
+    for (const text of [s.pid, s.tickets, pct(s.entitled), pct(s.actual)]) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    const bar = document.createElement('td');
+    bar.className = 'share-bar';
+    bar.innerHTML = `<span class="actual" style="width:${s.actual / scale * 100}%"></span><span class="entitled" style="left:${s.entitled / scale * 100}%"></span>`;
+    // more than a point off its entitlement
+    if (Math.abs(s.actual - s.entitled) > 0.01) tr.classList.add(s.actual > s.entitled ? 'over' : 'under');
+    tr.appendChild(bar);
+    shareTableBody.appendChild(tr);
+  }
+}
+
+// 📋 Per-process results; click a header to sort, again to reverse
+const resultsSort = { key: 'pid', dir: 1 };
+let resultRows = [];
+
+for (const col of RESULT_COLUMNS) {
+  const th = document.createElement('th');
+  th.textContent = col.label;
+  th.dataset.key = col.key;
+  th.addEventListener('click', ()=> {
+    resultsSort.dir = resultsSort.key === col.key ? -resultsSort.dir : 1;
+    resultsSort.key = col.key;
+    renderResults();
+  });
+  resultsHead.appendChild(th);
 }
 
+function sortedResults() {
+  const { key, dir } = resultsSort;
+  const cmp = (a, b) => typeof a[key] === 'number'
+    ? a[key] - b[key]
+    : String(a[key]).localeCompare(String(b[key]), undefined, { numeric: true });
+  return [...resultRows].sort((a, b) => dir * cmp(a, b));
+}
+
+function showResults(processes) {
+  resultRows = processes;
+  renderResults();
+}
+
+function renderResults() {
+  for (const th of resultsHead.children) {
+    th.className = th.dataset.key === resultsSort.key ? (resultsSort.dir > 0 ? 'sorted-asc' : 'sorted-desc') : '';
+  }
+  resultsBody.innerHTML = '';
+  for (const p of sortedResults()) {
+    const tr = document.createElement('tr');
+    for (const col of RESULT_COLUMNS) {
+      const td = document.createElement('td');
+      td.textContent = p[col.key];
+      tr.appendChild(td);
+    }
+    resultsBody.appendChild(tr);
+  }
+}
+
+exportResults.addEventListener('click', ()=>{
+  if (!currentSimulation) {
+    alert('No results to export. Run simulation first.');
+    return;
+  }
+  downloadText(buildResultsCSV(sortedResults()), 'schedule_results.csv', 'text/csv');
+});
+
+// longer traces are cut short; Download Trace has every entry
+const TRACE_LINES = 5000;
+
 function showTrace(trace) {
   if (!trace || trace.length === 0) {
     traceOutput.textContent = 'No trace';
     return;
   }
-  const lines = trace.map(t => `t=${t.time} | CPU=${t.cpu ?? 'Idle'} | event=${t.event} | ready=[${t.ready.join(',')}]`);
+  const multi = trace.some(t => t.core > 0);
+  const lines = trace.slice(0, TRACE_LINES).map(t => {
+    const cpu = multi ? `CPU${t.core ?? '*'}` : 'CPU';
+    const when = t.duration > 1 ? `${t.time}..${t.time + t.duration}` : t.time;
+    const more = t.readyCount ? `,+${t.readyCount - t.ready.length}` : '';
+    const why = t.reason ? ` | ${t.reason}` : '';
+    return `t=${when} | ${cpu}=${t.cpu ?? 'Idle'} | event=${t.event} | ready=[${t.ready.join(',')}${more}]${why}`;
+  });
+  if (trace.length > TRACE_LINES) lines.push(`... ${trace.length - TRACE_LINES} more entries (Download Trace for all of them)`);
   traceOutput.textContent = lines.join('\n');
 }
 
-// 🎨 Gantt Chart Drawer
-function drawGanttChart(trace) {
-  const canvas = document.getElementById("gantt-canvas");
-  if (!canvas) return;
-  const ctx = canvas.getContext("2d");
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  const barHeight = 30;
-  const yStart = 50;
-  const pxPerUnit = 30;
-
-  const pids = [...new Set(trace.filter(t => t.cpu).map(t => t.cpu))];
-  const colors = {};
-  const colorPalette = [
-    "#E57373", "#64B5F6", "#81C784", "#FFF176", "#BA68C8",
-    "#4DB6AC", "#FFD54F", "#9575CD", "#4FC3F7", "#A1887F"
-  ];
-  pids.forEach((pid, i) => colors[pid] = colorPalette[i % colorPalette.length]);
-
-  let x = 50;
-  trace.forEach((t, i) => {
-    if (t.cpu) {
-      ctx.fillStyle = colors[t.cpu];
-      ctx.fillRect(x, yStart, pxPerUnit, barHeight);
-      ctx.strokeStyle = "#000";
-      ctx.strokeRect(x, yStart, pxPerUnit, barHeight);
-      ctx.fillStyle = "#000";
-      ctx.font = "14px sans-serif";
-      ctx.fillText(t.cpu, x + 8, yStart + 20);
+// 💡 Why this pick? The events with a reason (arrivals, picks, preemptions,
+// quantum expiries...) of the latest event time at or before the animator's
+// frame, in the panel and, picks first, in the canvas header
+let reasoned = [];
+
+// before animator.loadHistory(), whose first frame already has a caption
+function loadExplanations(trace) {
+  reasoned = trace.filter(t => t.reason);
+  explainPanel.hidden = reasoned.length === 0;
+}
+
+// trace entries with a reason at the latest event time <= time, in order
+function decisionsAt(time) {
+  let lo = 0, hi = reasoned.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (reasoned[mid].time <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo === 0) return [];
+  const at = reasoned[lo - 1].time;
+  let first = lo - 1;
+  while (first > 0 && reasoned[first - 1].time === at) first--;
+  return reasoned.slice(first, lo);
+}
+
+const isDecision = t => t.event.startsWith('pick(') || t.event.startsWith('preempt(');
+
+animator.caption = snap => {
+  const decisions = decisionsAt(snap.time);
+  if (decisions.length === 0) return '';
+  const ordered = [...decisions.filter(isDecision), ...decisions.filter(t => !isDecision(t))];
+  const since = decisions[0].time < snap.time ? `t=${decisions[0].time}: ` : '';
+  return since + ordered.map(t => `${t.event} ${t.reason}`).join(' · ');
+};
+
+function showExplanation() {
+  if (reasoned.length === 0) return;
+  const decisions = decisionsAt(animator.history.at(animator.current)?.time ?? 0);
+  explainContent.innerHTML = '';
+  if (decisions.length === 0) {
+    explainContent.innerHTML = '<li>No decision yet.</li>';
+    return;
+  }
+  const multi = reasoned.some(t => t.core > 0);
+  for (const t of decisions) {
+    const li = document.createElement('li');
+    const event = document.createElement('span');
+    event.className = 'event';
+    event.textContent = `t=${t.time}${multi && t.core != null ? ` CPU${t.core}` : ''} ${t.event}`;
+    li.append(event, `: ${t.reason}`);
+    explainContent.appendChild(li);
+  }
+}
+
+// ⚖️ Compare mode: run the current table through every checked algorithm
+const compareMetrics = [
+  { key: 'avgWaiting', digits: 2, better: 'min' },
+  { key: 'avgTurnaround', digits: 2, better: 'min' },
+  { key: 'avgResponse', digits: 2, better: 'min' },
+  { key: 'makespan', digits: 2, better: 'min' },
+  { key: 'throughput', digits: 3, better: 'max' }
+];
+
+runCompareBtn.addEventListener('click', async ()=> {
+  const algorithms = [...compareAlgos.querySelectorAll('input:checked')].map(i => i.value);
+  if (algorithms.length === 0) {
+    alert('Pick at least one algorithm to compare.');
+    return;
+  }
+  let procs;
+  const runs = [];
+  try {
+    procs = readProcesses();
+    for (const algorithm of algorithms) {
+      const opts = readOptions(algorithm);
+      const sim = algorithm === CUSTOM_POLICY ? await runEditorPolicy(procs, opts) : simulate(algorithm, procs, opts);
+      if (!sim) return;
+      runs.push({ algorithm, sim });
     }
-    x += pxPerUnit;
-  });
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
 
-  // time scale
-  ctx.fillStyle = "#fff";
-  ctx.font = "12px monospace";
-  let tMark = 0;
-  x = 50;
-  while (tMark <= trace.length) {
-    ctx.fillText(tMark, x, yStart + barHeight + 15);
-    x += pxPerUnit;
-    tMark++;
-  }
-
-  // legend
-  let lx = 50, ly = 15;
-  pids.forEach(pid => {
-    ctx.fillStyle = colors[pid];
-    ctx.fillRect(lx, ly, 20, 20);
-    ctx.fillStyle = "#fff";
-    ctx.fillText(pid, lx + 25, ly + 15);
-    lx += 70;
-  });
+  // winners per metric (ties all win)
+  const best = {};
+  for (const m of compareMetrics) {
+    const values = runs.map(r => Number(r.sim.stats[m.key].toFixed(m.digits)));
+    best[m.key] = m.better === 'min' ? Math.min(...values) : Math.max(...values);
+  }
+  compareTableBody.innerHTML = '';
+  for (const r of runs) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${r.algorithm}</td>` + compareMetrics.map(m => {
+      const v = r.sim.stats[m.key].toFixed(m.digits);
+      return `<td class="${Number(v) === best[m.key] ? 'best' : ''}">${v}</td>`;
+    }).join('');
+    compareTableBody.appendChild(tr);
+  }
+
+  // stacked Gantt charts on one time axis, same colour per pid (per task for
+  // real-time jobs)
+  const endTime = Math.max(...runs.map(r => traceEndTime(r.sim.trace)));
+  const pxPerUnit = Math.min(30, (ganttCanvas.width - 70) / Math.max(1, endTime));
+  const pids = procs.map(p => String(p.pid));
+  compareGantts.innerHTML = '';
+  for (const r of runs) {
+    const title = document.createElement('h4');
+    title.textContent = r.algorithm;
+    const c = document.createElement('canvas');
+    c.width = ganttCanvas.width;
+    compareGantts.append(title, c);
+    drawGanttChart(c, r.sim.trace, {
+      pxPerUnit, endTime, pids, minHeight: 110,
+      colorKey: taskColorKey(r.sim.stats), marks: timingMarks(r.sim.stats)
+    });
+  }
+});
+
+// 🎓 Practice mode: a generated question (quiz.js) replaces the whole view so
+// the chart and stats don't give the answer away; checking grades it against
+// simulate(), then the correct chart is revealed one segment at a time
+const appRoot = document.getElementById('app');
+const practiceBtn = document.getElementById('practice');
+const quizPanel = document.getElementById('quiz');
+const quizLevel = document.getElementById('quiz-level');
+const quizNewBtn = document.getElementById('quiz-new');
+const quizQuestion = document.getElementById('quiz-question');
+const quizProcsBody = document.querySelector('#quiz-procs tbody');
+const quizOrder = document.getElementById('quiz-order');
+const quizWaiting = document.getElementById('quiz-waiting');
+const quizCheckBtn = document.getElementById('quiz-check');
+const quizResult = document.getElementById('quiz-result');
+const quizScore = document.getElementById('quiz-score');
+const quizSlots = document.getElementById('quiz-slots');
+const quizRevealNext = document.getElementById('quiz-reveal-next');
+const quizRevealAll = document.getElementById('quiz-reveal-all');
+const quizGantt = document.getElementById('quiz-gantt');
+const quizAnswer = document.getElementById('quiz-answer');
+
+let quiz = null;
+let quizRevealed = 0;   // time up to which the correct chart is shown
+
+for (const [id, level] of Object.entries(QUIZ_LEVELS)) quizLevel.add(new Option(level.label, id));
+
+function newQuiz() {
+  quiz = makeQuiz(quizLevel.value, Math.floor(Math.random() * 2 ** 31));
+  const { algorithm, opts, procs } = quiz;
+  const quantum = opts.quantum ? ` with a time quantum of ${opts.quantum}` : '';
+  const priority = algorithm.startsWith('PRIORITY') ? ' A lower number is a higher priority.' : '';
+  quizQuestion.textContent = `Schedule these processes with ${getPolicy(algorithm).label}${quantum}.${priority} Ties go to the earlier arrival, then the process listed first.`;
+  quizProcsBody.innerHTML = '';
+  for (const p of procs) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${p.pid}</td><td>${p.arrival}</td><td>${p.burst}</td><td>${p.priority}</td><td><input type="number" min="0" data-pid="${p.pid}" /></td>`;
+    quizProcsBody.appendChild(tr);
+  }
+  quizOrder.value = '';
+  quizWaiting.value = '';
+  quizResult.hidden = true;
+  markAnswer(quizOrder, null);
+  markAnswer(quizWaiting, null);
+}
+
+// right: true | false | null (not graded)
+function markAnswer(el, right) {
+  el.classList.toggle('right-answer', right === true);
+  el.classList.toggle('wrong-answer', right === false);
+}
+
+// the student's order, one cell per time unit, up to and including the first
+// wrong one
+function showSlots({ got, firstWrong }) {
+  quizSlots.innerHTML = '';
+  const end = firstWrong === null ? got.length : firstWrong + 1;
+  for (let t = 0; t < end; t++) {
+    const cell = document.createElement('span');
+    cell.className = t === firstWrong ? 'first-wrong' : 'ok';
+    cell.textContent = t < got.length ? got[t] ?? 'idle' : '?';
+    const time = document.createElement('small');
+    time.textContent = t;
+    cell.appendChild(time);
+    if (t === firstWrong) cell.title = t < got.length ? `Wrong from t=${t}` : `The order stops at t=${t}`;
+    quizSlots.appendChild(cell);
+  }
+}
+
+function drawQuizGantt() {
+  const trace = quiz.sim.trace;
+  const endTime = traceEndTime(trace);
+  drawGanttChart(quizGantt, revealTrace(trace, quizRevealed), { endTime, pids: quiz.procs.map(p => p.pid) });
+  const done = quizRevealed >= endTime;
+  quizRevealNext.disabled = quizRevealAll.disabled = done;
+  quizAnswer.hidden = !done;
+  quizAnswer.textContent = `Execution order: ${formatOrder(quiz.answer.slots)}. Avg waiting time: ${quiz.answer.avgWaiting.toFixed(2)}.`;
 }
 
+function revealTo(time) {
+  quizRevealed = time;
+  drawQuizGantt();
+}
+
+quizCheckBtn.addEventListener('click', ()=> {
+  if (!quiz) return;
+  const completion = {};
+  for (const input of quizProcsBody.querySelectorAll('input')) completion[input.dataset.pid] = input.value;
+  const graded = gradeQuiz(quiz, { order: quizOrder.value, completion, avgWaiting: quizWaiting.value });
+
+  markAnswer(quizOrder, graded.order.correct);
+  markAnswer(quizWaiting, graded.avgWaiting.correct);
+  for (const input of quizProcsBody.querySelectorAll('input')) markAnswer(input, graded.completion[input.dataset.pid].correct);
+
+  const { order } = graded;
+  const notes = [`${graded.score} of ${graded.total} correct.`];
+  if (order.error) notes.push(`Execution order: ${order.error}.`);
+  else if (order.firstWrong !== null) notes.push(`The execution order goes wrong at t=${order.firstWrong}.`);
+  quizScore.textContent = notes.join(' ');
+  quizScore.className = `quiz-score ${graded.score === graded.total ? 'right-answer' : 'wrong-answer'}`;
+  if (order.error) quizSlots.innerHTML = '';
+  else showSlots(order);
+  quizResult.hidden = false;
+  revealTo(0);
+});
+
+quizRevealNext.addEventListener('click', ()=> {
+  if (!quiz) return;
+  const ends = traceSegments(quiz.sim.trace).map(t => t.time + t.duration).filter(end => end > quizRevealed);
+  revealTo(Math.min(...ends));
+});
+
+quizRevealAll.addEventListener('click', ()=> {
+  if (quiz) revealTo(traceEndTime(quiz.sim.trace));
+});
+
+quizNewBtn.addEventListener('click', newQuiz);
+quizLevel.addEventListener('change', newQuiz);
+
+practiceBtn.addEventListener('click', ()=> {
+  const on = appRoot.classList.toggle('practice');
+  quizPanel.hidden = !on;
+  practiceBtn.textContent = on ? 'Exit Practice' : 'Practice';
+  animator.pause();
+  if (on && !quiz) newQuiz();
+});
+
 // playback bindings
 playBtn.addEventListener('click', ()=> animator.play());
-pauseBtn.addEventListener('click', ()=> animator.pause());
+pauseBtn.addEventListener('click', ()=> { animator.pause(); updateLocationHash(); });
 stepF.addEventListener('click', ()=> animator.stepForward());
 stepB.addEventListener('click', ()=> animator.stepBackward());
 rewind.addEventListener('click', ()=> animator.jumpTo(0));
@@ -198,6 +1006,10 @@ fastfwd.addEventListener('click', ()=> {
 
 animator.onFrameCallback = (index) => {
   timeline.value = index;
+  ganttChart.setPlayhead(animator.history.at(index)?.time ?? index);
+  showExplanation();
+  // browsers rate-limit replaceState, so the link only follows a paused timeline
+  if (!animator.playing) updateLocationHash();
 };
 
 timeline.addEventListener('input', (e)=>{
@@ -205,6 +1017,8 @@ timeline.addEventListener('input', (e)=>{
   animator.jumpTo(Number(e.target.value));
 });
 
+ganttLanes.addEventListener('change', ()=> ganttChart.setLanes(ganttLanes.value));
+
 speedSlider.addEventListener('input', (e)=> {
   const v = Number(e.target.value) || 1;
   animator.setSpeed(v);
@@ -215,21 +1029,100 @@ exportScreenshot.addEventListener('click', ()=>{
   saveDataURL(dataURL, 'schedule_screenshot.png');
 });
 
+// 📐 Vector exports for slides, handouts and papers
+exportFrameSvg.addEventListener('click', ()=>{
+  if (!currentSimulation) {
+    alert('No simulation to export. Run simulation first.');
+    return;
+  }
+  downloadText(animator.toSVG(), 'schedule_frame.svg', 'image/svg+xml');
+});
+
+exportGanttSvg.addEventListener('click', ()=>{
+  if (!currentSimulation) {
+    alert('No simulation to export. Run simulation first.');
+    return;
+  }
+  downloadText(ganttChart.toSVG(), 'gantt.svg', 'image/svg+xml');
+});
+
+exportReport.addEventListener('click', ()=>{
+  if (!currentSimulation) {
+    alert('No simulation to export. Run simulation first.');
+    return;
+  }
+  const { algorithm, opts, procs, sim } = currentSimulation;
+  // the whole run, whatever the zoom on screen
+  const gantt = ganttSVG(sim.trace, { colorKey: taskColorKey(sim.stats), marks: timingMarks(sim.stats), lanes: ganttLanes.value },
+    { width: ganttCanvas.width, measure: ganttCanvas.getContext('2d') });
+  downloadText(buildReport({ algorithm, opts, procs, sim, gantt }), 'schedule_report.html', 'text/html');
+});
+
+// 🎬 Recording: the whole run, drawn offscreen, so playback can go on meanwhile
+const RECORD_FPS = 10;
+
+recordBtn.addEventListener('click', async ()=>{
+  if (!currentSimulation) {
+    alert('No simulation to record. Run simulation first.');
+    return;
+  }
+  const format = recordFormat.value;
+  const { sim } = currentSimulation;
+  const framesPerStep = Math.max(1, Math.floor(Number(recordFrames.value)) || 4);
+  const seconds = Math.round(sim.historySnapshots.length * framesPerStep / RECORD_FPS);
+  if (format === 'webm' && seconds > 120 && !confirm(`WebM records in real time: this takes about ${seconds} s. Record anyway?`)) return;
+
+  recordBtn.disabled = true;
+  try {
+    const blob = await recordPlayback({
+      history: sim.historySnapshots,
+      trace: sim.trace,
+      gantt: { colorKey: taskColorKey(sim.stats), marks: timingMarks(sim.stats), lanes: ganttLanes.value },
+      caption: animator.caption,
+      format, framesPerStep, fps: RECORD_FPS,
+      onProgress: (done, total) => { recordBtn.textContent = `Recording ${Math.round(done / total * 100)}%`; }
+    });
+    downloadBlob(blob, `schedule.${format}`);
+  } catch (err) {
+    alert(err.message);
+  } finally {
+    recordBtn.disabled = false;
+    recordBtn.textContent = 'Record';
+  }
+});
+
 exportTrace.addEventListener('click', ()=>{
   if (!currentSimulation) {
     alert('No simulation to export. Run simulation first.');
     return;
   }
-  const out = {
-    config: { algorithm: currentSimulation.algorithm, opts: currentSimulation.opts, procs: currentSimulation.procs },
-    trace: currentSimulation.sim.trace,
-    stats: currentSimulation.sim.stats
-  };
-  downloadJSON(out, 'schedule_trace.json');
+  const { algorithm, opts, procs, sim } = currentSimulation;
+  downloadJSON(buildTraceExport(algorithm, opts, procs, sim), 'schedule_trace.json');
 });
 
-// initial sample rows
-createRow('P1', 0, 5, 0);
-createRow('P2', 1, 3, 1);
-createRow('P3', 2, 8, 0);
-createRow('P4', 3, 6, 2);
+copyLinkBtn.addEventListener('click', async ()=>{
+  if (!currentSimulation) {
+    alert('No simulation to share. Run simulation first.');
+    return;
+  }
+  if (currentSimulation.algorithm === CUSTOM_POLICY) {
+    alert('Links cannot carry a custom algorithm. Pick a built-in one to share.');
+    return;
+  }
+  updateLocationHash();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    copyLinkBtn.textContent = 'Link Copied';
+    setTimeout(()=> { copyLinkBtn.textContent = 'Copy Link'; }, 1500);
+  } catch {
+    prompt('Copy this link:', location.href);
+  }
+});
+
+// a shared link opens its scenario; otherwise start with the sample rows
+if (!restoreFromHash()) {
+  createRow('P1', 0, 5, 0);
+  createRow('P2', 1, 3, 1);
+  createRow('P3', 2, 8, 0);
+  createRow('P4', 3, 6, 2);
+}
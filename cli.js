@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// cli.js
+// Headless runner: simulate a workload file and print per-process results.
+// Usage: node cli.js <workload.json|workload.csv> [options]
+//   -a, --algorithm LIST    comma-separated algorithms or "all" (default: the
+//                           algorithm saved in a trace file, else RR)
+//   --quantum N             RR quantum
+//   --mlq-fg N, --mlq-bg N  MLQ foreground / background quantum
+//   --mlfq-levels TEXT      MLFQ levels, e.g. "RR:2,RR:4,FCFS"
+//   --mlfq-aging N, --mlfq-boost N
+//   --cfs-latency N, --cfs-min-gran N
+//                           CFS target latency / minimum granularity
+//   --seed N                Lottery PRNG seed
+//   --horizon N             release periodic jobs up to time N (default: one
+//                           hyperperiod)
+//   --context-switch N      context-switch cost in time units
+//   --cores N               number of CPUs
+//   --per-core              per-core ready queues (default: one global queue)
+//   --steal                 work stealing between per-core queues
+//   --affinity              prefer the core a process last ran on
+//   --trace FILE            write the "Download Trace" JSON; with several
+//                           algorithms FILE gets the algorithm name inserted
+//                           (trace.json -> trace.RR.json)
+//   --svg FILE              write the Gantt chart as SVG (named like --trace)
+//   --report FILE           write a printable HTML report with the
+//                           configuration, results and Gantt chart
+//   --json                  print the results as JSON instead of tables
+//   --load MODULE           import a module that calls registerPolicy() first
+//                           (repeatable), e.g. a custom algorithm
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { simulate, getPolicy, listPolicies } from './scheduler.js';
+import { parseWorkload, parseMLFQLevels, buildTraceExport, buildReport } from './formats.js';
+import { schedulability, timingMarks, taskColorKey } from './realtime.js';
+import { ganttSVG } from './gantt.js';
+
+const policyIds = () => listPolicies().map(p => p.id);
+
+const usage = () => `Usage: node cli.js <workload.json|workload.csv> [options]
+  -a, --algorithm LIST    comma-separated algorithms or "all" (${policyIds().join(', ')})
+  --quantum N             RR quantum
+  --mlq-fg N, --mlq-bg N  MLQ foreground / background quantum
+  --mlfq-levels TEXT      MLFQ levels, e.g. "RR:2,RR:4,FCFS"
+  --mlfq-aging N          MLFQ aging threshold
+  --mlfq-boost N          MLFQ priority boost period
+  --cfs-latency N         CFS target latency
+  --cfs-min-gran N        CFS minimum granularity
+  --seed N                Lottery PRNG seed
+  --horizon N             release periodic jobs up to time N
+  --context-switch N      context-switch cost in time units
+  --cores N               number of CPUs
+  --per-core              per-core ready queues
+  --steal                 work stealing between per-core queues
+  --affinity              prefer the core a process last ran on
+  --trace FILE            write the "Download Trace" JSON
+  --svg FILE              write the Gantt chart as SVG
+  --report FILE           write a printable HTML report
+  --json                  print results as JSON
+  --load MODULE           import a module that registers more policies`;
+
+// flags that take a value -> option name
+const VALUE_FLAGS = {
+  '--quantum': 'quantum',
+  '--mlq-fg': 'mlqFgQuantum',
+  '--mlq-bg': 'mlqBgQuantum',
+  '--mlfq-aging': 'mlfqAging',
+  '--mlfq-boost': 'mlfqBoost',
+  '--cfs-latency': 'cfsLatency',
+  '--cfs-min-gran': 'cfsMinGranularity',
+  '--seed': 'seed',
+  '--horizon': 'horizon',
+  '--context-switch': 'contextSwitch',
+  '--cores': 'cores'
+};
+
+function parseArgs(argv) {
+  const args = { file: null, algorithms: null, opts: {}, trace: null, svg: null, report: null, json: false, load: [] };
+  for (let i=0;i<argv.length;i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '-a' || arg === '--algorithm') {
+      // "all" and upper-casing are resolved once --load modules are in
+      args.algorithms = value().split(',').map(s => s.trim()).filter(Boolean);
+    } else if (VALUE_FLAGS[arg]) {
+      const n = Number(value());
+      if (!Number.isFinite(n)) throw new Error(`${arg} expects a number`);
+      args.opts[VALUE_FLAGS[arg]] = n;
+    } else if (arg === '--mlfq-levels') {
+      args.opts.mlfqLevels = parseMLFQLevels(value());
+    } else if (arg === '--per-core') {
+      args.opts.coreQueues = 'per-core';
+    } else if (arg === '--steal') {
+      args.opts.balance = 'steal';
+    } else if (arg === '--affinity') {
+      args.opts.affinity = true;
+    } else if (arg === '--trace') {
+      args.trace = value();
+    } else if (arg === '--svg') {
+      args.svg = value();
+    } else if (arg === '--report') {
+      args.report = value();
+    } else if (arg === '--load') {
+      args.load.push(value());
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  return args;
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => cells.map((c, i) => String(c).padStart(widths[i])).join('  ');
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// shares: add the entitled / actual CPU share table (proportional share)
+function report(algorithm, sim, shares = false) {
+  const s = sim.stats;
+  const rows = s.processes.map(p => [p.pid, p.arrival, p.burst, p.startTime, p.completionTime, p.turnaround, p.waiting, p.response]);
+  const lines = [
+    `== ${algorithm} ==`,
+    formatTable(['PID', 'Arrival', 'Burst', 'Start', 'Completion', 'Turnaround', 'Waiting', 'Response'], rows),
+    '',
+    `Avg waiting:     ${s.avgWaiting.toFixed(2)}`,
+    `Avg turnaround:  ${s.avgTurnaround.toFixed(2)}`,
+    `Avg response:    ${s.avgResponse.toFixed(2)}`,
+    `Makespan:        ${s.makespan.toFixed(2)}`,
+    `Throughput:      ${s.throughput.toFixed(3)} proc/unit`,
+    `Max waiting:     ${s.maxWaiting} (std dev ${s.stdWaiting.toFixed(2)})`,
+    `Fairness (Jain): ${s.fairness.toFixed(3)}`,
+    `CPU utilization: ${(s.cpuUtilization * 100).toFixed(0)}%${s.coreUtilization.length > 1 ? ` (${s.coreUtilization.map(u => `${(u * 100).toFixed(0)}%`).join(' ')})` : ''}`,
+    `Idle time:       ${s.idleTime}`,
+    `Context switches: ${s.contextSwitches} (${s.switchTime} units lost)`
+  ];
+  if (s.deadlines) {
+    const { missed, total } = s.deadlines;
+    lines.push(`Deadline misses: ${missed.length} of ${total}${missed.map(m => `\n  ${m.pid} due ${m.deadline}, done ${m.completionTime} (+${m.lateness})`).join('')}`);
+  }
+  if (shares) {
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    lines.push('', formatTable(['PID', 'Tickets', 'Entitled', 'Actual'], s.shares.map(x => [x.pid, x.tickets, pct(x.entitled), pct(x.actual)])));
+  }
+  return lines.join('\n');
+}
+
+// output file for one of several algorithms: trace.json -> trace.RR.json
+function outputPath(file, algorithm, many) {
+  if (!many) return file;
+  const dot = file.lastIndexOf('.');
+  return dot > 0 ? `${file.slice(0, dot)}.${algorithm}${file.slice(dot)}` : `${file}.${algorithm}`;
+}
+
+// policy ids are matched case-insensitively: "rr,mlfq" runs RR and MLFQ
+function resolveAlgorithms(list) {
+  if (list.length === 1 && list[0].toLowerCase() === 'all') return policyIds();
+  return list.map(name => {
+    const id = getPolicy(name) ? name : policyIds().find(id => id.toLowerCase() === name.toLowerCase());
+    if (!id) throw new Error(`Unknown algorithm ${name} (choose from ${policyIds().join(', ')})`);
+    return id;
+  });
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  for (const mod of args.load) await import(pathToFileURL(resolve(mod)).href);
+  if (args.help || !args.file) {
+    console.log(usage());
+    return args.help ? 0 : 1;
+  }
+  const workload = parseWorkload(readFileSync(args.file, 'utf8'), args.file);
+  const algorithms = resolveAlgorithms(args.algorithms ?? [workload.algorithm ?? 'RR']);
+
+  const results = [];
+  for (const algorithm of algorithms) {
+    // options saved in a trace file apply to the algorithm they were saved for
+    const saved = algorithm === workload.algorithm ? workload.opts : {};
+    const opts = { ...saved, ...args.opts };
+    const sim = simulate(algorithm, workload.procs, opts);
+    results.push({ algorithm, opts, sim });
+    const many = algorithms.length > 1;
+    if (args.trace) {
+      writeFileSync(outputPath(args.trace, algorithm, many), JSON.stringify(buildTraceExport(algorithm, opts, workload.procs, sim), null, 2));
+    }
+    if (args.svg || args.report) {
+      const gantt = ganttSVG(sim.trace, { colorKey: taskColorKey(sim.stats), marks: timingMarks(sim.stats) });
+      if (args.svg) writeFileSync(outputPath(args.svg, algorithm, many), gantt);
+      if (args.report) writeFileSync(outputPath(args.report, algorithm, many), buildReport({ algorithm, opts, procs: workload.procs, sim, gantt }));
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(r => ({ algorithm: r.algorithm, opts: r.opts, stats: r.sim.stats })), null, 2));
+  } else {
+    const explicitTickets = workload.procs.some(p => p.tickets != null);
+    const shares = algorithm => ['LOTTERY', 'STRIDE'].includes(algorithm) || explicitTickets;
+    if (workload.procs.some(p => p.period != null)) {
+      const check = schedulability(workload.procs);
+      const verdict = v => `${v.schedulable === null ? 'inconclusive' : v.schedulable ? 'schedulable' : 'not schedulable'} (${v.reason})`;
+      console.log(`Schedulability: U = ${check.utilization.toFixed(3)} over ${check.n} task${check.n === 1 ? '' : 's'}\n  RM:  ${verdict(check.rm)}\n  EDF: ${verdict(check.edf)}\n`);
+    }
+    console.log(results.map(r => report(r.algorithm, r.sim, shares(r.algorithm))).join('\n\n'));
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error(`error: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,244 @@
+// custom-policy.js
+// Policies written in the in-browser editor. The user's code defines
+//   pickNext(readyList, time, running)   required; returns an entry of
+//                                        readyList, its pid or its index,
+//                                        or null to leave the core idle
+//   quantum                              optional; a number or quantum(p)
+//   shouldPreempt(p, readyList, time)    optional; true takes p off the CPU
+// and only sees read-only copies of the processes:
+//   { pid, arrival, burst, remaining, burstLeft, priority, tickets, period,
+//     deadline, readySince }
+// (period and the absolute deadline are null outside real-time workloads)
+//
+// runCustomPolicy() runs it in a Web Worker (policy-worker.js): a step budget
+// caps the calls into the user's code and a watchdog terminates the worker,
+// so an endless loop can't freeze the page. Errors come back as PolicyError
+// with the editor line that raised them when it can be found.
+import { Timeline } from './scheduler.js';
+import { pidsOf } from './policies.js';
+
+export const CUSTOM_POLICY = 'CUSTOM';
+export const DEFAULT_STEP_BUDGET = 100000;
+export const DEFAULT_TIMEOUT = 5000;
+
+export const POLICY_TEMPLATE = `// Called whenever a core is free: return the process to run next
+// (an entry of readyList, its pid or its index), or null to stay idle.
+// Entries: { pid, arrival, burst, remaining, burstLeft, priority, tickets,
+//            period, deadline, readySince }
+function pickNext(readyList, time, running) {
+  // shortest remaining time first
+  let best = readyList[0];
+  for (const p of readyList) {
+    if (p.remaining < best.remaining) best = p;
+  }
+  return best;
+}
+
+// Optional: a time slice, as a number or a function of the process
+// const quantum = 4;
+
+// Optional: return true to take the running process p off the CPU now
+// function shouldPreempt(p, readyList, time) {
+//   return readyList.some(r => r.remaining < p.remaining);
+// }
+`;
+
+const SOURCE_URL = 'custom-policy.js';
+
+// line is 1-based in the editor, or null when unknown
+export class PolicyError extends Error {
+  constructor(message, line = null) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'PolicyError';
+    this.reason = message;
+    this.line = line;
+  }
+
+  static from(err) {
+    if (err instanceof PolicyError) return err;
+    return new PolicyError(`${err.name}: ${err.message}`, errorLine(err));
+  }
+}
+
+/* ---------- Compiling ---------- */
+
+// body line of the user's first line, as reported in stack traces; engines
+// differ in how many lines the Function constructor adds, so measure it
+let firstLine = null;
+function measureFirstLine() {
+  if (firstLine === null) {
+    try {
+      new Function(`"use strict";\nthrow new Error();\n//# sourceURL=${SOURCE_URL}`)();
+    } catch (err) {
+      firstLine = stackLine(err) ?? 2;
+    }
+  }
+  return firstLine;
+}
+
+function stackLine(err) {
+  const m = String(err && err.stack).match(/custom-policy\.js:(\d+)/);
+  return m ? Number(m[1]) : null;
+}
+
+function errorLine(err) {
+  const line = stackLine(err);
+  return line === null ? null : line - measureFirstLine() + 1;
+}
+
+function syntaxMessage(source) {
+  try {
+    new Function(`"use strict";\n${source}`);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Most engines give no position for a SyntaxError from the Function
+// constructor: compile growing prefixes of the code and report the first
+// line that raises the same error. Errors about the code ending too early
+// (a missing brace) point at the last line.
+function locateSyntaxError(code, message) {
+  const lines = code.split('\n');
+  if (message === syntaxMessage('{')) {
+    let last = lines.length;
+    while (last > 1 && !lines[last - 1].trim()) last--;
+    return last;
+  }
+  for (let k=1;k<=lines.length;k++) {
+    if (syntaxMessage(lines.slice(0, k).join('\n')) === message) return k;
+  }
+  return null;
+}
+
+// code -> { pickNext, quantum, shouldPreempt }; throws PolicyError
+export function compilePolicy(code) {
+  const message = syntaxMessage(code);
+  if (message !== null) throw new PolicyError(`SyntaxError: ${message}`, locateSyntaxError(code, message));
+
+  const exports = [
+    'pickNext: typeof pickNext === "function" ? pickNext : undefined',
+    'quantum: typeof quantum === "undefined" ? undefined : quantum',
+    'shouldPreempt: typeof shouldPreempt === "function" ? shouldPreempt : undefined'
+  ];
+  let user;
+  try {
+    user = new Function(`"use strict";\n${code}\n;return { ${exports.join(', ')} };\n//# sourceURL=${SOURCE_URL}`)();
+  } catch (err) {
+    throw PolicyError.from(err);
+  }
+  if (!user.pickNext) throw new PolicyError('Define a function pickNext(readyList, time, running)');
+  if (user.quantum !== undefined && typeof user.quantum !== 'function' && !(Number(user.quantum) >= 1)) {
+    throw new PolicyError(`quantum must be a number >= 1 or a function, not ${JSON.stringify(user.quantum)}`);
+  }
+  return user;
+}
+
+/* ---------- Adapter ----------
+   Wraps the user's functions in a policy object for the shared engine. The
+   ready list keeps the order processes became ready in.
+*/
+export function makeCustomPolicy(user, { stepBudget = DEFAULT_STEP_BUDGET } = {}) {
+  let steps = 0;
+  function call(name, ...args) {
+    if (++steps > stepBudget) throw new PolicyError(`Step budget exceeded: more than ${stepBudget} calls into ${name}()`);
+    try {
+      return user[name](...args);
+    } catch (err) {
+      throw PolicyError.from(err);
+    }
+  }
+
+  return () => {
+    const ready = [];
+    const since = new Map();
+    const handedOut = new Set();
+    const view = p => Object.freeze({
+      pid: p.pid,
+      arrival: p.arrival,
+      burst: p.burst,
+      remaining: p.remaining,
+      burstLeft: p.burstLeft,
+      priority: p.priority,
+      tickets: p.tickets,
+      period: p.period ?? null,
+      deadline: p.deadline ?? null,
+      readySince: since.get(p) ?? null
+    });
+    const enqueue = (p, time) => {
+      ready.push(p);
+      since.set(p, time);
+    };
+    function running() {
+      for (const p of handedOut) if (p.state !== 'running') handedOut.delete(p);
+      return [...handedOut].map(view);
+    }
+
+    return {
+      onArrival: enqueue,
+      pickNext(time) {
+        if (ready.length === 0) return null;
+        const choice = call('pickNext', ready.map(view), time, running());
+        if (choice === null || choice === undefined) return null;
+        const i = typeof choice === 'number'
+          ? choice
+          : ready.findIndex(p => p.pid === (typeof choice === 'string' ? choice : choice.pid));
+        if (!Number.isInteger(i) || i < 0 || i >= ready.length) {
+          throw new PolicyError(`pickNext returned ${JSON.stringify(choice)}, which is not in readyList`);
+        }
+        const [p] = ready.splice(i, 1);
+        since.delete(p);
+        handedOut.add(p);
+        return p;
+      },
+      why(p, time, rival) {
+        return rival
+          ? `shouldPreempt(${rival.pid}) returned true`
+          : `pickNext() returned ${p.pid} out of ${ready.length + 1} ready`;
+      },
+      quantum(p) {
+        if (user.quantum === undefined) return Infinity;
+        if (typeof user.quantum !== 'function') return Number(user.quantum);
+        const q = call('quantum', view(p));
+        if (!(q >= 1)) throw new PolicyError(`quantum(${p.pid}) returned ${JSON.stringify(q)}, not a number >= 1`);
+        return q;
+      },
+      shouldPreempt(p, time) {
+        return !!user.shouldPreempt && ready.length > 0 && !!call('shouldPreempt', view(p), ready.map(view), time);
+      },
+      readyPids(max) { return pidsOf(ready, max); },
+      readyCount() { return ready.length; }
+    };
+  };
+}
+
+/* ---------- Sandbox ---------- */
+
+// -> Promise of a simulate()-style result { trace, historySnapshots, stats }
+export function runCustomPolicy(code, processes, options = {}, { timeout = DEFAULT_TIMEOUT, stepBudget = DEFAULT_STEP_BUDGET } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./policy-worker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      clearTimeout(watchdog);
+      worker.terminate();
+    };
+    const watchdog = setTimeout(() => {
+      finish();
+      reject(new PolicyError(`No result after ${timeout / 1000} s: is there an endless loop?`));
+    }, timeout);
+    worker.onmessage = ({ data }) => {
+      finish();
+      if (!data.ok) {
+        reject(new PolicyError(data.error.message, data.error.line));
+        return;
+      }
+      resolve({ trace: data.trace, historySnapshots: Timeline.from(data.timeline), stats: data.stats });
+    };
+    worker.onerror = e => {
+      finish();
+      reject(new PolicyError(e.message || 'The policy worker failed to start'));
+    };
+    worker.postMessage({ code, processes, options, stepBudget });
+  });
+}
@@ -0,0 +1,19 @@
+// examples/lcfs-policy.js
+// A custom algorithm in its own module: Last-Come-First-Served, a stack
+// instead of a queue (non-preemptive). Load it with
+//   node cli.js examples/sample.csv -a LCFS --load examples/lcfs-policy.js
+// or a <script type="module"> placed before app.js in index.html.
+import { registerPolicy, pidsOf } from '../policies.js';
+
+registerPolicy('LCFS', {
+  label: 'LCFS (Last Come, First Served)',
+  create: () => {
+    const stack = [];
+    return {
+      onArrival(p) { stack.push(p); },
+      pickNext() { return stack.pop() ?? null; },
+      readyPids(max) { return pidsOf([...stack].reverse(), max); },
+      readyCount() { return stack.length; }
+    };
+  }
+});
@@ -0,0 +1,435 @@
+// formats.js
+// Workload / trace formats shared by the browser UI (app.js) and the CLI (cli.js).
+// Workload CSV:  pid,arrival,burst,priority[,tickets,period,deadline]  (header
+//                optional; a burst cell may hold a CPU / I/O sequence such
+//                as "4 3 2")
+// Workload JSON: [{pid, arrival, burst, bursts?, priority, tickets?, period?,
+//                deadline?}],
+//                {processes: [...]} or an exported trace
+//                {config: {algorithm, opts, procs}, ...}
+// Scenario URL:  algorithm=RR&quantum=4&procs=P1,0,5,0;P2,1,4+3+2,1,50&t=7
+//                (the location hash of a shareable link)
+// Report:        a standalone, printable HTML page of one run (buildReport)
+// Parsers validate every row and throw a WorkloadError listing all bad rows.
+// A PID is plain text of at most PID_MAX_LENGTH characters, without control
+// characters; the page only ever shows it as text.
+import { getPolicy } from './scheduler.js';
+
+// "4, 3, 2" -> [4, 3, 2] (CPU 4, I/O 3, CPU 2); must start and end with a CPU burst
+export function parseBursts(text) {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+  if (parts.length === 0) return [1];
+  if (parts.some(n => !Number.isInteger(n) || n < 1)) {
+    throw new Error(`Invalid burst "${text}" (use positive whole numbers, e.g. 5 or 4, 3, 2)`);
+  }
+  if (parts.length % 2 === 0) {
+    throw new Error(`Burst sequence "${text}" must end with a CPU burst (CPU, I/O, CPU, ...)`);
+  }
+  return parts;
+}
+
+// "RR:2, RR:4, FCFS" -> [{policy:'RR', quantum:2}, {policy:'RR', quantum:4}, {policy:'FCFS', quantum:null}]
+export function parseMLFQLevels(text) {
+  const levels = [];
+  for (const part of text.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [policy, q] = part.split(':').map(s => s.trim().toUpperCase());
+    if (policy === 'FCFS') {
+      levels.push({ policy: 'FCFS', quantum: null });
+    } else if (policy === 'RR' && Number(q) >= 1) {
+      levels.push({ policy: 'RR', quantum: Number(q) });
+    } else {
+      throw new Error(`Invalid MLFQ level "${part}" (use RR:<quantum> or FCFS)`);
+    }
+  }
+  if (levels.length === 0) throw new Error('MLFQ needs at least one level');
+  return levels;
+}
+
+export function formatMLFQLevels(levels) {
+  return levels.map(l => l.policy === 'FCFS' ? 'FCFS' : `RR:${l.quantum}`).join(', ');
+}
+
+// one process record; `bursts` is kept only for CPU / I/O sequences and
+// `tickets`, `period` and `deadline` only when set
+export function makeProcess(pid, arrival, bursts, priority, tickets = null, period = null, deadline = null) {
+  const p = bursts.length === 1
+    ? { pid, arrival, burst: bursts[0], priority }
+    : { pid, arrival, burst: bursts.filter((b,i)=> i % 2 === 0).reduce((s,b)=> s + b, 0), bursts, priority };
+  if (tickets !== null) p.tickets = tickets;
+  if (period !== null) p.period = period;
+  if (deadline !== null) p.deadline = deadline;
+  return p;
+}
+
+// split one CSV line; double quotes protect commas ("4,3,2")
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '', quoted = false;
+  for (let i=0;i<line.length;i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i+1] === '"') { cell += '"'; i++; }
+      else quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Thrown when a workload has bad rows; `errors` is [{row, pid, message}]
+export class WorkloadError extends Error {
+  constructor(errors) {
+    super(errors.map(e => `Row ${e.row}${e.pid ? ` (${e.pid})` : ''}: ${e.message}`).join('\n'));
+    this.name = 'WorkloadError';
+    this.errors = errors;
+  }
+}
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+
+const PID_MAX_LENGTH = 64;
+
+// raw rows [{row, pid, arrival, burst, bursts?, priority, tickets?, period?,
+// deadline?}] -> processes;
+// collects every problem first and throws one WorkloadError listing them all
+export function validateRows(rows) {
+  const errors = [];
+  const seen = new Map();
+  const procs = [];
+  for (const r of rows) {
+    const pid = isBlank(r.pid) ? '' : String(r.pid).trim();
+    const fail = message => errors.push({ row: r.row, pid, message });
+    let ok = true;
+
+    if (!pid) {
+      fail('missing PID');
+      ok = false;
+    } else if (/\p{Cc}/u.test(pid)) {
+      fail(`PID ${JSON.stringify(pid)} contains a control character`);
+      ok = false;
+    } else if (pid.length > PID_MAX_LENGTH) {
+      fail(`PID "${pid.slice(0, 16)}..." is longer than ${PID_MAX_LENGTH} characters`);
+      ok = false;
+    } else if (seen.has(pid)) {
+      fail(`duplicate PID ${pid} (first used on row ${seen.get(pid)})`);
+      ok = false;
+    } else {
+      seen.set(pid, r.row);
+    }
+
+    const arrival = isBlank(r.arrival) ? 0 : Number(r.arrival);
+    if (!Number.isFinite(arrival)) {
+      fail(`arrival "${r.arrival}" is not a number`);
+      ok = false;
+    } else if (arrival < 0) {
+      fail(`negative arrival ${arrival}`);
+      ok = false;
+    } else if (!Number.isInteger(arrival)) {
+      fail(`arrival ${arrival} must be a whole number`);
+      ok = false;
+    }
+
+    let bursts = null;
+    const burstText = Array.isArray(r.bursts) ? r.bursts.join(' ') : r.burst;
+    if (isBlank(burstText)) {
+      fail('missing burst');
+      ok = false;
+    } else {
+      try {
+        bursts = parseBursts(burstText);
+      } catch (err) {
+        fail(err.message);
+        ok = false;
+      }
+    }
+
+    const priority = isBlank(r.priority) ? 0 : Number(r.priority);
+    if (!Number.isFinite(priority)) {
+      fail(`priority "${r.priority}" is not a number`);
+      ok = false;
+    }
+
+    const tickets = isBlank(r.tickets) ? null : Number(r.tickets);
+    if (tickets !== null && !(Number.isInteger(tickets) && tickets >= 1)) {
+      fail(`tickets "${r.tickets}" must be a whole number >= 1`);
+      ok = false;
+    }
+
+    const period = isBlank(r.period) ? null : Number(r.period);
+    if (period !== null && !(Number.isInteger(period) && period >= 1)) {
+      fail(`period "${r.period}" must be a whole number >= 1`);
+      ok = false;
+    }
+
+    const deadline = isBlank(r.deadline) ? null : Number(r.deadline);
+    if (deadline !== null && !(Number.isInteger(deadline) && deadline >= 1)) {
+      fail(`deadline "${r.deadline}" must be a whole number >= 1`);
+      ok = false;
+    }
+
+    if (ok) procs.push(makeProcess(pid, arrival, bursts, priority, tickets, period, deadline));
+  }
+  if (errors.length > 0) throw new WorkloadError(errors);
+  if (procs.length === 0) throw new WorkloadError([{ row: 0, pid: '', message: 'no processes found' }]);
+  return procs;
+}
+
+// rows are numbered by their line in the file, header included
+export function parseWorkloadCSV(text) {
+  const lines = text.split(/\r?\n/)
+    .map((l, i) => ({ text: l.trim(), row: i + 1 }))
+    .filter(l => l.text && !l.text.startsWith('#'));
+  if (lines.length === 0) throw new WorkloadError([{ row: 0, pid: '', message: 'empty CSV workload' }]);
+  let columns = ['pid', 'arrival', 'burst', 'priority', 'tickets', 'period', 'deadline'];
+  const first = splitCSVLine(lines[0].text).map(c => c.toLowerCase());
+  if (first.includes('pid')) {
+    columns = first;
+    lines.shift();
+  }
+  const col = name => columns.indexOf(name);
+  return validateRows(lines.map(line => {
+    const cells = splitCSVLine(line.text);
+    const cell = name => col(name) === -1 ? '' : (cells[col(name)] ?? '');
+    return {
+      row: line.row,
+      pid: cell('pid'),
+      arrival: cell('arrival'),
+      burst: cell('burst') || cell('bursts'),
+      priority: cell('priority'),
+      tickets: cell('tickets'),
+      period: cell('period'),
+      deadline: cell('deadline')
+    };
+  }));
+}
+
+// -> { procs, algorithm?, opts? }; algorithm / opts come from exported traces.
+// Rows of a JSON workload are numbered from 1 in array order.
+export function parseWorkloadJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new WorkloadError([{ row: 0, pid: '', message: `invalid JSON: ${err.message}` }]);
+  }
+  const rows = list => {
+    if (!Array.isArray(list)) return [];
+    return list.map((p, i) => ({ ...(p && typeof p === 'object' ? p : {}), row: i + 1 }));
+  };
+  if (Array.isArray(data)) return { procs: validateRows(rows(data)) };
+  if (data && Array.isArray(data.processes)) return { procs: validateRows(rows(data.processes)) };
+  if (data && data.config && Array.isArray(data.config.procs)) {
+    const { algorithm, opts } = data.config;
+    if (algorithm !== undefined && !getPolicy(algorithm)) {
+      throw new WorkloadError([{ row: 0, pid: '', message: `unknown algorithm "${algorithm}"` }]);
+    }
+    return { procs: validateRows(rows(data.config.procs)), algorithm, opts: opts ?? {} };
+  }
+  throw new WorkloadError([{ row: 0, pid: '', message: 'unrecognised JSON workload (expected a process array, {processes} or an exported trace)' }]);
+}
+
+// picks the format by file extension, falling back to sniffing the content
+export function parseWorkload(text, filename = '') {
+  const name = filename.toLowerCase();
+  if (name.endsWith('.csv')) return { procs: parseWorkloadCSV(text) };
+  if (name.endsWith('.json')) return parseWorkloadJSON(text);
+  return /^\s*[[{]/.test(text) ? parseWorkloadJSON(text) : { procs: parseWorkloadCSV(text) };
+}
+
+// options that travel in a scenario URL, in the order they are written
+const SCENARIO_OPTS = [
+  'quantum', 'mlqFgQuantum', 'mlqBgQuantum', 'mlfqLevels', 'mlfqAging', 'mlfqBoost', 'cfsLatency', 'cfsMinGranularity', 'seed',
+  'horizon', 'contextSwitch', 'cores', 'coreQueues', 'balance', 'affinity'
+];
+const TEXT_OPTS = ['coreQueues', 'balance'];
+
+// form-style escaping that leaves "," and ":" readable ("RR:2,RR:4,FCFS")
+const escapeParam = v => encodeURIComponent(v).replace(/%20/g, '+').replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+const unescapeParam = v => decodeURIComponent(v.replace(/\+/g, ' '));
+
+// {algorithm, opts, procs, time?} -> "algorithm=RR&quantum=4&procs=...&t=7"
+export function encodeScenario({ algorithm, opts = {}, procs, time }) {
+  const params = [`algorithm=${escapeParam(algorithm)}`];
+  for (const key of SCENARIO_OPTS) {
+    let v = opts[key];
+    if (v === undefined || v === null || v === false) continue;
+    if (key === 'mlfqLevels') v = formatMLFQLevels(v).replace(/ /g, '');
+    if (v === true) v = 1;
+    params.push(`${key}=${escapeParam(v)}`);
+  }
+  // one process per ";" and one cell per ",", so commas inside a cell stay escaped
+  const cell = v => escapeParam(v).replace(/,/g, '%2C');
+  const rows = procs.map(p => {
+    const cells = [p.pid, p.arrival, (p.bursts ?? [p.burst]).join(' '), p.priority ?? 0,
+      p.tickets ?? '', p.period ?? '', p.deadline ?? ''];
+    while (cells[cells.length - 1] === '') cells.pop();
+    return cells.map(cell).join(',');
+  });
+  params.push(`procs=${rows.join(';')}`);
+  if (time !== undefined && time !== null) params.push(`t=${time}`);
+  return params.join('&');
+}
+
+// inverse of encodeScenario(); accepts the hash with or without "#".
+// Returns null when the text holds no scenario, throws on a broken one.
+export function decodeScenario(text) {
+  const params = new Map();
+  for (const pair of String(text).replace(/^#/, '').split('&').filter(Boolean)) {
+    const eq = pair.indexOf('=');
+    if (eq === -1) params.set(pair, '');
+    else params.set(pair.slice(0, eq), pair.slice(eq + 1));
+  }
+  if (!params.has('procs')) return null;
+
+  const algorithm = unescapeParam(params.get('algorithm') ?? 'RR');
+  if (!getPolicy(algorithm)) throw new Error(`Unknown algorithm "${algorithm}" in link`);
+  const opts = {};
+  for (const key of SCENARIO_OPTS) {
+    if (!params.has(key)) continue;
+    const v = unescapeParam(params.get(key));
+    if (key === 'mlfqLevels') opts[key] = parseMLFQLevels(v);
+    else if (key === 'affinity') opts[key] = v === '1' || v === 'true';
+    else if (TEXT_OPTS.includes(key)) opts[key] = v;
+    else {
+      const n = Number(v);
+      if (v === '' || !Number.isFinite(n)) throw new Error(`Option ${key} "${v}" in link is not a number`);
+      opts[key] = n;
+    }
+  }
+  const procs = validateRows(params.get('procs').split(';').filter(Boolean).map((row, i) => {
+    const [pid, arrival, burst, priority, tickets, period, deadline] = row.split(',').map(unescapeParam);
+    return { row: i + 1, pid, arrival, burst, priority, tickets, period, deadline };
+  }));
+  const time = params.has('t') ? Number(params.get('t')) : null;
+  return { algorithm, opts, procs, time: Number.isFinite(time) ? time : null };
+}
+
+// columns of the per-process results table and its CSV export
+export const RESULT_COLUMNS = [
+  { key: 'pid', label: 'PID' },
+  { key: 'arrival', label: 'Arrival' },
+  { key: 'burst', label: 'Burst' },
+  { key: 'startTime', label: 'Start' },
+  { key: 'completionTime', label: 'Completion' },
+  { key: 'turnaround', label: 'Turnaround' },
+  { key: 'waiting', label: 'Waiting' },
+  { key: 'response', label: 'Response' }
+];
+
+const csvCell = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+// stats.processes (or any ordering of them) -> CSV text with a header row
+export function buildResultsCSV(processes) {
+  const lines = [RESULT_COLUMNS.map(c => c.key).join(',')];
+  for (const p of processes) lines.push(RESULT_COLUMNS.map(c => csvCell(p[c.key])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+// the "Download Trace" document: {config, trace, stats}
+export function buildTraceExport(algorithm, opts, procs, sim) {
+  return {
+    config: { algorithm, opts, procs },
+    trace: sim.trace,
+    stats: sim.stats
+  };
+}
+
+// labels for the options a report lists, in SCENARIO_OPTS order
+const OPTION_LABELS = {
+  quantum: 'Time quantum',
+  mlqFgQuantum: 'Foreground quantum',
+  mlqBgQuantum: 'Background quantum',
+  mlfqLevels: 'MLFQ levels',
+  mlfqAging: 'Aging threshold',
+  mlfqBoost: 'Boost period',
+  cfsLatency: 'Target latency',
+  cfsMinGranularity: 'Minimum granularity',
+  seed: 'Seed',
+  horizon: 'Horizon',
+  contextSwitch: 'Context switch',
+  cores: 'Cores',
+  coreQueues: 'Ready queues',
+  balance: 'Load balancing',
+  affinity: 'Affinity'
+};
+
+const escapeHTML = v => String(v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHTML(h)}</th>`).join('');
+  const body = rows.map(r => `<tr>${r.map(c => `<td>${escapeHTML(c ?? '')}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+const REPORT_STYLE = `
+body{font:14px/1.45 system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif;color:#111;margin:24px;max-width:1000px}
+h1{font-size:20px;margin:0 0 4px 0}
+h2{font-size:15px;margin:20px 0 6px 0;border-bottom:1px solid #ccc;padding-bottom:2px}
+.meta{color:#555;margin:0}
+table{border-collapse:collapse;font-size:13px}
+th,td{border:1px solid #ccc;padding:3px 8px;text-align:left}
+th{background:#f3f4f6}
+.gantt svg{max-width:100%;height:auto}
+@media print{body{margin:0}h2{break-after:avoid}table,.gantt{break-inside:avoid}}`;
+
+// One run as a standalone HTML page to print or save as PDF: configuration,
+// process table, per-process results, averages and the Gantt chart.
+// gantt: the chart as SVG text (ganttSVG() in gantt.js), left out when empty
+export function buildReport({ algorithm, opts = {}, procs, sim, gantt = '', date = new Date() }) {
+  const s = sim.stats;
+  const label = getPolicy(algorithm)?.label ?? algorithm;
+
+  const config = [['Algorithm', label]];
+  for (const key of SCENARIO_OPTS) {
+    const v = opts[key];
+    if (v === undefined || v === null || v === false) continue;
+    config.push([OPTION_LABELS[key], key === 'mlfqLevels' ? formatMLFQLevels(v) : v === true ? 'yes' : v]);
+  }
+
+  // optional columns only when some process has them
+  const optional = [['tickets', 'Tickets'], ['period', 'Period'], ['deadline', 'Deadline']]
+    .filter(([key]) => procs.some(p => p[key] != null));
+  const procRows = procs.map(p => [p.pid, p.arrival, (p.bursts ?? [p.burst]).join(', '), p.priority ?? 0,
+    ...optional.map(([key]) => p[key] ?? '')]);
+
+  const f = (v, digits = 2) => v.toFixed(digits);
+  const summary = [
+    ['Avg waiting time', f(s.avgWaiting)],
+    ['Avg turnaround time', f(s.avgTurnaround)],
+    ['Avg response time', f(s.avgResponse)],
+    ['Makespan', f(s.makespan)],
+    ['Throughput', `${f(s.throughput, 3)} proc/unit`],
+    ['CPU utilization', `${(s.cpuUtilization * 100).toFixed(0)}%`],
+    ['Idle time', s.idleTime],
+    ['Context switches', `${s.contextSwitches} (${s.switchTime} units lost)`]
+  ];
+  if (s.deadlines) summary.push(['Deadline misses', `${s.deadlines.missed.length} of ${s.deadlines.total}`]);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHTML(label)} — CPU Scheduling Report</title>
+<style>${REPORT_STYLE}
+</style>
+</head>
+<body>
+<h1>CPU Scheduling Report — ${escapeHTML(label)}</h1>
+<p class="meta">${escapeHTML(date.toISOString().slice(0, 10))} · ${procs.length} process${procs.length === 1 ? '' : 'es'}</p>
+<h2>Configuration</h2>
+${htmlTable(['Setting', 'Value'], config)}
+<h2>Processes</h2>
+${htmlTable(['PID', 'Arrival', 'Burst', 'Priority', ...optional.map(([, h]) => h)], procRows)}
+${gantt ? `<h2>Gantt Chart</h2>\n<div class="gantt">\n${gantt.trim()}\n</div>\n` : ''}<h2>Per-Process Results</h2>
+${htmlTable(RESULT_COLUMNS.map(c => c.label), s.processes.map(p => RESULT_COLUMNS.map(c => p[c.key])))}
+<h2>Summary</h2>
+${htmlTable(['Metric', 'Value'], summary)}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,493 @@
+// gantt.js
+// Gantt chart drawer shared by the main view, the comparison view and
+// practice mode.
+// drawGanttChart(canvas, trace, options) draws a chart once; a GanttChart
+// keeps one on its canvas and makes it interactive (see below); ganttSVG()
+// and GanttChart.toSVG() draw the same chart as an SVG document.
+// options: {
+//   pxPerUnit  width of one time unit (default: whatever fits the whole run
+//              into the canvas, at most 30)
+//   startTime  time at the left edge (default 0)
+//   endTime    last time on the axis (default: end of this trace); pass the
+//              same value to several charts to share one time axis
+//   pids       pid order for colours, so every chart colours a pid alike
+//   colorKey   pid -> what to colour and label in the legend by (default:
+//              the pid itself), e.g. the task of a real-time job
+//   marks      [{time, kind: 'release'|'miss', label?}]: release arrows above
+//              the lanes and deadline-miss lines across them
+//   lanes      'cores' (default): one lane per core; 'processes': one
+//              swimlane per process, in arrival order
+//   playhead   time to draw the playhead at (default: none)
+//   until      draw only what happened before this time; the axis still
+//              runs to endTime (a recording's progress)
+//   minHeight  smallest canvas height (default 160)
+// }
+
+import { SvgContext } from './svg.js';
+
+export const colorPalette = [
+  "#E57373", "#64B5F6", "#81C784", "#FFF176", "#BA68C8",
+  "#4DB6AC", "#FFD54F", "#9575CD", "#4FC3F7", "#A1887F"
+];
+
+const LEFT = 50;        // x of time 0 at startTime 0; lane labels sit left of it
+const RIGHT = 20;
+const TOP = 50;         // y of the first lane, under the legend
+const BAR = 30;
+const LANE_GAP = 8;
+const MAX_PX_PER_UNIT = 200;
+const BACKGROUND = "#08121a";   // the canvas background set in style.css
+
+// exec/idle/switch entries are segments covering [time, time + duration);
+// other events are markers
+export function traceSegments(trace) {
+  return trace.filter(t => t.event === 'idle' || t.event.startsWith('exec(') || t.event.startsWith('switch('));
+}
+
+export function traceEndTime(trace) {
+  return traceSegments(trace).reduce((end, t) => Math.max(end, t.time + t.duration), 0);
+}
+
+// The trace's segments as the chart draws them: back-to-back segments of the
+// same kind and pid on one core (a process re-picked after its quantum, say)
+// merged into one.
+// -> [{ kind: 'exec'|'idle'|'switch', pid, core, start, end,
+//       remainingBefore, remainingAfter }]
+// pid is the incoming process of a switch and null when idle; remaining is
+// the CPU time the process still needs, counted over this trace
+export function ganttSegments(trace) {
+  const out = [];
+  const last = new Map();   // core -> its latest segment
+  for (const t of traceSegments(trace)) {
+    const kind = t.event === 'idle' ? 'idle' : t.event.startsWith('exec(') ? 'exec' : 'switch';
+    const pid = kind === 'exec' ? t.cpu : kind === 'switch' ? t.event.slice(t.event.indexOf('->') + 2, -1) : null;
+    const core = t.core ?? 0;
+    const prev = last.get(core);
+    if (prev && prev.kind === kind && prev.pid === pid && prev.end === t.time) {
+      prev.end += t.duration;
+      continue;
+    }
+    const seg = { kind, pid, core, start: t.time, end: t.time + t.duration };
+    out.push(seg);
+    last.set(core, seg);
+  }
+
+  const total = new Map();
+  for (const s of out) if (s.kind === 'exec') total.set(s.pid, (total.get(s.pid) ?? 0) + s.end - s.start);
+  const done = new Map();
+  for (const s of [...out].sort((a, b) => a.start - b.start)) {
+    if (s.kind !== 'exec') continue;
+    s.remainingBefore = total.get(s.pid) - (done.get(s.pid) ?? 0);
+    s.remainingAfter = s.remainingBefore - (s.end - s.start);
+    done.set(s.pid, (done.get(s.pid) ?? 0) + s.end - s.start);
+  }
+  return out;
+}
+
+// pids in the order they arrive (then first run), for swimlanes
+function processOrder(trace) {
+  const seen = new Set();
+  for (const t of trace) {
+    const arrival = /^arrive\((.+)\)$/.exec(t.event);
+    if (arrival) seen.add(arrival[1]);
+    else if (t.event.startsWith('exec(')) seen.add(t.cpu);
+  }
+  return [...seen];
+}
+
+// palette colours in the order of options.pids (default: the order processes
+// first run), one per colorKey
+function chartColors(segments, options) {
+  const pids = options.pids ?? [...new Set(segments.filter(s => s.kind === 'exec').map(s => s.pid))];
+  const colorKey = options.colorKey ?? (pid => pid);
+  const keys = [...new Set(pids.map(colorKey))];
+  const keyColors = {};
+  keys.forEach((key, i) => keyColors[key] = colorPalette[i % colorPalette.length]);
+  return { keys, keyColors, colorOf: pid => keyColors[colorKey(pid)] };
+}
+
+// pid -> the colour the chart of this trace gives it (pids and colorKey as
+// for drawGanttChart), for other views to colour processes alike
+export function ganttColors(trace, options = {}) {
+  return chartColors(ganttSegments(trace), options).colorOf;
+}
+
+// everything about a trace that doesn't depend on zoom, pan or the pointer
+function chartModel(trace, options) {
+  const until = options.until ?? Infinity;
+  const segments = ganttSegments(trace)
+    .filter(s => s.start < until)
+    .map(s => s.end > until ? { ...s, end: until } : s);
+  const swimlanes = options.lanes === 'processes';
+  const lanePids = swimlanes ? processOrder(trace) : [];
+  const laneIndex = new Map(lanePids.map((pid, i) => [pid, i]));
+  const cores = trace.reduce((n, t) => Math.max(n, (t.core ?? 0) + 1), 1);
+  const lanes = swimlanes ? Math.max(1, lanePids.length) : cores;
+
+  const { keys, keyColors, colorOf } = chartColors(segments, options);
+
+  return {
+    // with several cores one idle core isn't a gap in a process's swimlane
+    segments: swimlanes && cores > 1 ? segments.filter(s => s.kind !== 'idle') : segments,
+    swimlanes, lanes, keys, keyColors,
+    laneLabels: swimlanes ? lanePids : lanes > 1 ? Array.from({ length: lanes }, (_, c) => `C${c}`) : [],
+    // idle has no process, so in swimlanes it shades every lane
+    laneOf: s => swimlanes ? (s.pid == null ? null : laneIndex.get(s.pid) ?? null) : s.core,
+    colorOf,
+    endTime: options.endTime ?? traceEndTime(trace),
+    marks: (options.marks ?? []).filter(m => m.time <= until),
+    minHeight: options.minHeight ?? 160
+  };
+}
+
+const laneY = lane => TOP + lane * (BAR + LANE_GAP);
+
+// pxPerUnit that shows [0, endTime] across the canvas
+function fitScale(canvas, endTime) {
+  return Math.min(30, (canvas.width - LEFT - RIGHT) / Math.max(1, endTime));
+}
+
+// the smallest of 1, 2, 5, 10, 20, 50, ... units that keeps axis labels
+// `minPx` apart
+function tickStep(pxPerUnit, minPx = 40) {
+  for (let base = 1; ; base *= 10) {
+    for (const m of [1, 2, 5]) if (base * m * pxPerUnit >= minPx) return base * m;
+  }
+}
+
+// view: { pxPerUnit, startTime, playhead, hover: {x, y, segment} }
+function renderChart(canvas, model, view) {
+  const { lanes, segments, laneOf, colorOf } = model;
+  const height = Math.max(model.minHeight, laneY(lanes) + 24);
+  if (canvas.height !== height) canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const { pxPerUnit, startTime } = view;
+  const xOf = time => LEFT + (time - startTime) * pxPerUnit;
+  const bottom = laneY(lanes - 1) + BAR;
+
+  // lanes are clipped to the plot so a zoomed-in chart doesn't draw over its labels
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(LEFT, 0, canvas.width - LEFT, canvas.height);
+  ctx.clip();
+
+  for (const s of segments) {
+    const x = xOf(s.start);
+    const w = (s.end - s.start) * pxPerUnit;
+    if (x + w < LEFT || x > canvas.width) continue;
+    const lane = laneOf(s);
+    const y = lane == null ? TOP : laneY(lane);
+    const h = lane == null ? bottom - TOP : BAR;
+    if (s.kind === 'idle') {
+      drawIdle(ctx, x, y, w, h);
+      continue;
+    }
+    ctx.fillStyle = s.kind === 'switch' ? "#6b7280" : colorOf(s.pid) ?? "#cbd5e1";
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = s === view.hover?.segment ? "#fff" : "#000";
+    ctx.strokeRect(x, y, w, h);
+    const label = s.kind === 'switch' ? 'cs' : s.pid;
+    const font = s.kind === 'switch' ? "11px monospace" : "14px sans-serif";
+    drawLabel(ctx, label, font, s.kind === 'switch' ? "#e5e7eb" : "#000", x, y + h / 2, w);
+  }
+
+  drawMarks(ctx, model.marks, xOf, TOP, bottom);
+  if (view.playhead != null) drawPlayhead(ctx, xOf(view.playhead), view.playhead, bottom);
+  ctx.restore();
+
+  ctx.fillStyle = "#fff";
+  ctx.font = "12px monospace";
+  ctx.textAlign = "right";
+  model.laneLabels.forEach((label, i) => ctx.fillText(fit(ctx, label, LEFT - 8), LEFT - 6, laneY(i) + 20));
+  ctx.textAlign = "left";
+
+  // time scale
+  const step = tickStep(pxPerUnit);
+  const last = Math.min(model.endTime, startTime + (canvas.width - LEFT) / pxPerUnit);
+  for (let t = Math.ceil(startTime / step) * step; t <= last; t += step) {
+    ctx.fillText(t, xOf(t), bottom + 15);
+  }
+
+  // legend
+  let lx = LEFT, ly = 15;
+  model.keys.forEach(key => {
+    ctx.fillStyle = model.keyColors[key];
+    ctx.fillRect(lx, ly, 20, 20);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(key, lx + 25, ly + 15);
+    lx += 70;
+  });
+
+  if (view.hover?.segment) drawTooltip(ctx, canvas, view.hover, model.lanes > 1 && !model.swimlanes);
+}
+
+// idle gaps: a dark hatched box
+function drawIdle(ctx, x, y, w, h) {
+  ctx.fillStyle = "rgba(148,163,184,0.08)";
+  ctx.fillRect(x, y, w, h);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, w, h);
+  ctx.clip();
+  ctx.strokeStyle = "rgba(148,163,184,0.25)";
+  ctx.beginPath();
+  for (let hx = x - h; hx < x + w; hx += 8) {
+    ctx.moveTo(hx, y + h);
+    ctx.lineTo(hx + h, y);
+  }
+  ctx.stroke();
+  ctx.restore();
+  ctx.strokeStyle = "rgba(148,163,184,0.35)";
+  ctx.strokeRect(x, y, w, h);
+  drawLabel(ctx, 'idle', "11px monospace", "#94a3b8", x, y + Math.min(h, BAR) / 2, w);
+}
+
+// a label centred in a segment, left out when it doesn't fit
+function drawLabel(ctx, text, font, color, x, midY, w) {
+  ctx.font = font;
+  const width = ctx.measureText(text).width;
+  if (width + 6 > w) return;
+  ctx.fillStyle = color;
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, x + (w - width) / 2, midY);
+  ctx.textBaseline = "alphabetic";
+}
+
+function fit(ctx, text, width) {
+  if (ctx.measureText(text).width <= width) return text;
+  while (text.length > 1 && ctx.measureText(`${text}…`).width > width) text = text.slice(0, -1);
+  return `${text}…`;
+}
+
+function drawPlayhead(ctx, x, time, bottom) {
+  ctx.strokeStyle = "#fcd34d";
+  ctx.fillStyle = "#fcd34d";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x, TOP - 6); ctx.lineTo(x, bottom + 4);
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x - 5, TOP - 12); ctx.lineTo(x + 5, TOP - 12); ctx.lineTo(x, TOP - 5);
+  ctx.fill();
+  ctx.font = "10px monospace";
+  ctx.fillText(`t=${time}`, x + 7, TOP - 6);
+}
+
+function drawTooltip(ctx, canvas, { x, y, segment: s }, showCore) {
+  const on = showCore ? ` on C${s.core}` : '';
+  const lines = s.kind === 'idle' ? [`idle${on}`, `${s.start} – ${s.end}`]
+    : s.kind === 'switch' ? [`context switch to ${s.pid}${on}`, `${s.start} – ${s.end}`]
+    : [`${s.pid}${on}`, `start ${s.start}  end ${s.end}`, `remaining ${s.remainingBefore} → ${s.remainingAfter}`];
+  ctx.font = "12px monospace";
+  const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 16;
+  const h = lines.length * 16 + 10;
+  const tx = Math.min(x + 12, canvas.width - w - 4);
+  const ty = Math.max(4, Math.min(y + 12, canvas.height - h - 4));
+  ctx.fillStyle = "rgba(2,6,23,0.92)";
+  ctx.fillRect(tx, ty, w, h);
+  ctx.strokeStyle = "rgba(255,255,255,0.25)";
+  ctx.strokeRect(tx, ty, w, h);
+  ctx.fillStyle = "#eef6ff";
+  lines.forEach((l, i) => ctx.fillText(l, tx + 8, ty + 18 + i * 16));
+}
+
+// releases: small arrows pointing down at the lanes; misses: a red line
+// through every lane, labelled with the job that missed
+function drawMarks(ctx, marks, xOf, top, bottom) {
+  ctx.font = "10px monospace";
+  for (const m of marks) {
+    const x = xOf(m.time);
+    if (m.kind === 'release') {
+      ctx.strokeStyle = "#fff";
+      ctx.fillStyle = "#fff";
+      ctx.beginPath();
+      ctx.moveTo(x, top - 12); ctx.lineTo(x, top - 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(x - 3, top - 5); ctx.lineTo(x + 3, top - 5); ctx.lineTo(x, top - 1);
+      ctx.fill();
+    } else if (m.kind === 'miss') {
+      ctx.strokeStyle = "#ef4444";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, top - 4); ctx.lineTo(x, bottom + 2);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+      if (m.label) {
+        ctx.fillStyle = "#ef4444";
+        ctx.fillText(`✕ ${m.label}`, x + 3, top - 4);
+      }
+    }
+  }
+}
+
+// 🎨 Gantt Chart Drawer
+export function drawGanttChart(canvas, trace, options = {}) {
+  if (!canvas) return;
+  const model = chartModel(trace, options);
+  renderChart(canvas, model, {
+    pxPerUnit: options.pxPerUnit ?? fitScale(canvas, model.endTime),
+    startTime: options.startTime ?? 0,
+    playhead: options.playhead
+  });
+}
+
+// the chart as an SVG document; width defaults to the on-screen canvas width.
+// measure: a canvas context to size labels with (default: estimated)
+export function ganttSVG(trace, options = {}, { width = 1000, measure = null } = {}) {
+  const ctx = new SvgContext(width, options.minHeight ?? 160, measure);
+  drawGanttChart(ctx.canvas, trace, options);
+  return ctx.toSVG({ background: BACKGROUND });
+}
+
+// 🖱️ Interactive chart: the wheel zooms around the pointer, dragging pans,
+// double-click fits the whole run again, a click calls onSeek(time) and
+// hovering a segment shows its pid, start, end and remaining time.
+//   const chart = new GanttChart(canvas, { onSeek: t => animator.jumpTo(t) });
+//   chart.setTrace(trace, options)   options as for drawGanttChart
+//   chart.setPlayhead(time)
+//   chart.setLanes('cores' | 'processes')
+//   chart.toSVG()                    the zoomed / panned view on screen,
+//                                    without the playhead and tooltip
+export class GanttChart {
+  constructor(canvas, { onSeek = null } = {}) {
+    this.canvas = canvas;
+    this.onSeek = onSeek;
+    this.trace = [];
+    this.options = {};
+    this.model = null;
+    this.pxPerUnit = 30;
+    this.startTime = 0;
+    this.playhead = null;
+    this.hover = null;
+    this._drag = null;
+
+    canvas.addEventListener('wheel', e => this._onWheel(e), { passive: false });
+    canvas.addEventListener('mousedown', e => this._onMouseDown(e));
+    canvas.addEventListener('mousemove', e => this._onMouseMove(e));
+    canvas.addEventListener('mouseleave', () => { this.hover = null; this._drag = null; this.draw(); });
+    canvas.addEventListener('dblclick', () => this.fit());
+    // a drag ends wherever the pointer is let go
+    window.addEventListener('mouseup', e => this._onMouseUp(e));
+  }
+
+  setTrace(trace, options = {}) {
+    this.trace = trace;
+    // the lane choice sticks unless the caller sets it
+    this.options = { lanes: this.options.lanes, ...options };
+    this.model = chartModel(trace, this.options);
+    this.hover = null;
+    this.fit();
+  }
+
+  setLanes(lanes) {
+    this.options = { ...this.options, lanes };
+    this.model = chartModel(this.trace, this.options);
+    this.hover = null;
+    this.draw();
+  }
+
+  setPlayhead(time) {
+    this.playhead = time;
+    // keep the playhead in view while playing through a zoomed-in chart
+    const visible = (this.canvas.width - LEFT - RIGHT) / this.pxPerUnit;
+    if (time != null && (time < this.startTime || time > this.startTime + visible)) {
+      this.startTime = this._clampStart(time - visible / 2);
+    }
+    this.draw();
+  }
+
+  // show the whole run
+  fit() {
+    this.pxPerUnit = fitScale(this.canvas, this.model?.endTime ?? 0);
+    this.startTime = 0;
+    this.draw();
+  }
+
+  draw() {
+    if (!this.model) return;
+    renderChart(this.canvas, this.model, {
+      pxPerUnit: this.pxPerUnit, startTime: this.startTime, playhead: this.playhead, hover: this.hover
+    });
+  }
+
+  toSVG() {
+    const ctx = new SvgContext(this.canvas.width, this.canvas.height, this.canvas.getContext('2d'));
+    if (this.model) {
+      renderChart(ctx.canvas, this.model, { pxPerUnit: this.pxPerUnit, startTime: this.startTime });
+    }
+    return ctx.toSVG({ background: BACKGROUND });
+  }
+
+  // canvas pixels under a mouse event; the canvas is scaled by CSS
+  _point(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+      y: (e.clientY - rect.top) * this.canvas.height / rect.height
+    };
+  }
+
+  _timeAt(x) {
+    return this.startTime + (x - LEFT) / this.pxPerUnit;
+  }
+
+  _clampStart(start) {
+    const visible = (this.canvas.width - LEFT - RIGHT) / this.pxPerUnit;
+    return Math.max(0, Math.min(start, (this.model?.endTime ?? 0) - visible));
+  }
+
+  _segmentAt({ x, y }) {
+    if (!this.model || x < LEFT) return null;
+    const time = this._timeAt(x);
+    const { segments, laneOf, lanes } = this.model;
+    const bottom = laneY(lanes - 1) + BAR;
+    return segments.find(s => {
+      if (time < s.start || time >= s.end) return false;
+      const lane = laneOf(s);
+      return lane == null ? y >= TOP && y <= bottom : y >= laneY(lane) && y <= laneY(lane) + BAR;
+    }) ?? null;
+  }
+
+  _onWheel(e) {
+    if (!this.model) return;
+    e.preventDefault();
+    const { x } = this._point(e);
+    const anchor = this._timeAt(Math.max(LEFT, x));
+    const factor = e.deltaY < 0 ? 1.25 : 1 / 1.25;
+    const min = fitScale(this.canvas, this.model.endTime);
+    this.pxPerUnit = Math.max(min, Math.min(MAX_PX_PER_UNIT, this.pxPerUnit * factor));
+    this.startTime = this._clampStart(anchor - (Math.max(LEFT, x) - LEFT) / this.pxPerUnit);
+    this.draw();
+  }
+
+  _onMouseDown(e) {
+    this._drag = { x: this._point(e).x, startTime: this.startTime, moved: false };
+  }
+
+  _onMouseMove(e) {
+    const point = this._point(e);
+    if (this._drag) {
+      const dx = point.x - this._drag.x;
+      if (Math.abs(dx) > 3) this._drag.moved = true;
+      if (this._drag.moved) this.startTime = this._clampStart(this._drag.startTime - dx / this.pxPerUnit);
+    }
+    const segment = this._drag?.moved ? null : this._segmentAt(point);
+    this.hover = segment ? { ...point, segment } : null;
+    this.canvas.style.cursor = this._drag?.moved ? 'grabbing' : 'pointer';
+    this.draw();
+  }
+
+  _onMouseUp(e) {
+    const drag = this._drag;
+    this._drag = null;
+    if (!drag || drag.moved || e.target !== this.canvas || !this.model) return;
+    const { x } = this._point(e);
+    if (x < LEFT) return;
+    const time = Math.floor(this._timeAt(x));
+    if (this.onSeek && time >= 0 && time <= this.model.endTime) this.onSeek(time);
+  }
+}
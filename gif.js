@@ -0,0 +1,162 @@
+// gif.js
+// Minimal animated GIF89a encoder for playback recordings (recording.js).
+//   const palette = buildPalette([firstFrame, lastFrame]);
+//   const gif = new GifEncoder(width, height, palette);
+//   gif.addFrame(rgba, 400);        // RGBA bytes (ImageData.data), delay in ms
+//   const bytes = gif.finish();     // Uint8Array
+// One global palette of up to 256 colours for every frame: the app draws
+// flat colours, so the most common colours of a few sample frames cover it.
+// Frames loop forever; a frame identical to the previous one only lengthens
+// its delay.
+
+// colours are binned by their top 5 bits per channel
+const bin = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+// RGBA frames -> [[r, g, b], ...]: the most common colour bins (averaged)
+export function buildPalette(frames, size = 256) {
+  const count = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (const rgba of frames) {
+    for (let i = 0; i < rgba.length; i += 4) {
+      const k = bin(rgba[i], rgba[i + 1], rgba[i + 2]);
+      count[k]++;
+      sums[k * 3] += rgba[i]; sums[k * 3 + 1] += rgba[i + 1]; sums[k * 3 + 2] += rgba[i + 2];
+    }
+  }
+  const used = [];
+  for (let k = 0; k < 32768; k++) if (count[k]) used.push(k);
+  used.sort((a, b) => count[b] - count[a]);
+  const palette = used.slice(0, size).map(k => [0, 1, 2].map(c => Math.round(sums[k * 3 + c] / count[k])));
+  return palette.length ? palette : [[0, 0, 0]];
+}
+
+export class GifEncoder {
+  constructor(width, height, palette) {
+    if (palette.length > 256) throw new Error('A GIF palette holds at most 256 colours');
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    // bits per palette index, at least 2 as LZW requires
+    this.depth = Math.max(2, Math.ceil(Math.log2(palette.length)));
+    this._nearest = new Int16Array(32768).fill(-1);   // colour bin -> palette index
+    this._chunks = [];
+    this._last = null;          // the last frame's indexed pixels, delay and control block
+    this._header();
+  }
+
+  addFrame(rgba, delayMs) {
+    const pixels = this._index(rgba);
+    const delay = Math.max(1, Math.round(delayMs / 10));   // hundredths of a second
+    const last = this._last;
+    if (last && last.pixels.every((v, i) => v === pixels[i]) && last.delay + delay <= 0xffff) {
+      last.delay += delay;
+      last.control[4] = last.delay & 0xff;
+      last.control[5] = last.delay >> 8;
+      return;
+    }
+    // graphic control extension: no disposal, no transparency
+    const control = Uint8Array.of(0x21, 0xf9, 4, 0, delay & 0xff, delay >> 8, 0, 0);
+    this._chunks.push(control);
+    // image descriptor: the whole screen, global palette
+    this._push(0x2c, 0, 0, 0, 0, ...word(this.width), ...word(this.height), 0);
+    this._lzw(pixels);
+    this._last = { pixels, delay, control };
+  }
+
+  finish() {
+    this._push(0x3b);
+    const out = new Uint8Array(this._chunks.reduce((n, c) => n + c.length, 0));
+    let at = 0;
+    for (const c of this._chunks) { out.set(c, at); at += c.length; }
+    return out;
+  }
+
+  _header() {
+    const size = 1 << this.depth;
+    this._push(...[...'GIF89a'].map(c => c.charCodeAt(0)), ...word(this.width), ...word(this.height));
+    this._push(0x80 | ((this.depth - 1) << 4) | (this.depth - 1), 0, 0);
+    this._push(...Array.from({ length: size }, (_, i) => this.palette[i] ?? [0, 0, 0]).flat());
+    // NETSCAPE2.0: loop forever
+    this._push(0x21, 0xff, 11, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 3, 1, 0, 0, 0);
+  }
+
+  // RGBA -> palette indices, nearest colour per bin
+  _index(rgba) {
+    const out = new Uint8Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+      const k = bin(rgba[i], rgba[i + 1], rgba[i + 2]);
+      let index = this._nearest[k];
+      if (index < 0) index = this._nearest[k] = this._closest(rgba[i], rgba[i + 1], rgba[i + 2]);
+      out[p] = index;
+    }
+    return out;
+  }
+
+  _closest(r, g, b) {
+    let best = 0, bestDistance = Infinity;
+    this.palette.forEach(([pr, pg, pb], i) => {
+      const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (d < bestDistance) { best = i; bestDistance = d; }
+    });
+    return best;
+  }
+
+  // variable-width LZW, written in sub-blocks of up to 255 bytes
+  _lzw(pixels) {
+    const minSize = this.depth;
+    const clear = 1 << minSize, end = clear + 1;
+    // at most 12 bits per pixel, plus the occasional clear code
+    let data = new Uint8Array(Math.ceil(pixels.length * 1.5) + 16), length = 0;
+    let acc = 0, bits = 0;
+    const emit = (code, width) => {
+      acc |= code << bits;
+      bits += width;
+      while (bits >= 8) {
+        if (length === data.length) { const grown = new Uint8Array(length * 2); grown.set(data); data = grown; }
+        data[length++] = acc & 0xff;
+        acc >>= 8;
+        bits -= 8;
+      }
+    };
+
+    const table = new Map();   // prefix code * 256 + pixel -> code
+    let next = end + 1, width = minSize + 1;
+    emit(clear, width);
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+      const key = prefix * 256 + pixels[i];
+      const code = table.get(key);
+      if (code !== undefined) { prefix = code; continue; }
+      emit(prefix, width);
+      if (next < 4096) {
+        table.set(key, next++);
+        // widen once the codes no longer fit, at the same code as the decoder
+        if (next > (1 << width) && width < 12) width++;
+      } else {
+        emit(clear, width);
+        table.clear();
+        next = end + 1;
+        width = minSize + 1;
+      }
+      prefix = pixels[i];
+    }
+    emit(prefix, width);
+    emit(end, width);
+    if (bits > 0) emit(0, 8 - bits);
+    const blocks = Math.ceil(length / 255);
+    const out = new Uint8Array(1 + length + blocks + 1);
+    out[0] = minSize;
+    let at = 1;
+    for (let i = 0; i < length; i += 255) {
+      const block = data.subarray(i, Math.min(length, i + 255));
+      out[at++] = block.length;
+      out.set(block, at);
+      at += block.length;
+    }
+    this._chunks.push(out);   // ends with the 0 block terminator
+  }
+
+  _push(...bytes) { this._chunks.push(Uint8Array.from(bytes)); }
+}
+
+const word = v => [v & 0xff, (v >> 8) & 0xff];
@@ -0,0 +1,664 @@
+// policies.js
+// Scheduling policies and the registry simulate() looks algorithms up in.
+//
+// registerPolicy(id, { label, options, create }) adds an algorithm:
+//   label    text for the algorithm dropdown (default: the id)
+//   options  simulate() options the policy reads, e.g. ['quantum']; the UI
+//            shows the matching controls
+//   create(options, emit)
+//            returns a fresh policy object for one run (one per core with
+//            per-core queues). emit(event, reason?) adds a policy event such
+//            as 'demote(P1,Q0->Q1)' to the trace; reason is a sentence the UI
+//            shows to explain it.
+//
+// Policy hooks (onArrival, pickNext and readyPids are required). p is the
+// engine's process record: pid, arrival, burst, priority, tickets, remaining
+// (CPU time left), burstLeft (of the current CPU burst), used (of the current
+// slice).
+//   onArrival(p, time)        p became ready for the first time
+//   onWake(p, time)           p finished an I/O burst       (default: onArrival)
+//   onPreempt(p, time)        p was taken off the CPU       (default: onWake)
+//   onQuantumExpire(p, time)  p used its whole time slice   (default: onWake)
+//   onBlock(p, time)          p left the CPU for an I/O burst
+//   onTick(time, running)     called at every event time that follows a
+//                             stretch in which some process ran
+//   nextEvent(time)           next time (> time) the policy needs onTick, e.g.
+//                             for aging or boosts; a policy with onTick but no
+//                             nextEvent is woken every time unit
+//   pickNext(time)            remove and return the next process, or null
+//   why(p, time, rival)       optional sentence saying why pickNext() just
+//                             chose p, e.g. 'shortest remaining 3 < 5 (P2)';
+//                             with rival, why p preempts that running process
+//   shouldPreempt(p, time)    true when running p must give up the CPU now;
+//                             only checked at event times
+//   quantum(p)                time slice for p (default: the rest of its burst)
+//   readyPids(max)            the first `max` ready pids in display order
+//   readyCount()              number of ready processes (default: readyPids().length)
+//   queues(max)               optional [{name, pids, count}] lanes for the
+//                             Animator, at most `max` pids per lane
+//   compare(a, b)             optional ordering (< 0: a goes first); on several
+//                             cores the worst running process is preempted first
+//   sortKey(p)                optional number the ready list is ordered by (CFS:
+//                             vruntime), counting the running process's current
+//                             slice; snapshots carry it for the Animator, which
+//                             draws the processes on a number line
+//   sortKeyName               label for that number (default 'key')
+
+import { createRng } from './utils.js';
+
+const registry = new Map();
+
+export function registerPolicy(id, { label = id, options = [], create } = {}) {
+  if (typeof id !== 'string' || !id.trim()) throw new Error('Policy id must be a non-empty string');
+  if (typeof create !== 'function') throw new Error(`Policy ${id} needs a create(options, emit) function`);
+  if (registry.has(id)) throw new Error(`Policy ${id} is already registered`);
+  registry.set(id, { id, label, options: [...options], create });
+}
+
+// the definition registered under id, or undefined
+export function getPolicy(id) {
+  return registry.get(id);
+}
+
+// [{id, label, options, create}] in registration order
+export function listPolicies() {
+  return [...registry.values()];
+}
+
+/* ---------- Helpers for readyPids / queues ---------- */
+
+// ids of the first `max` processes of a list
+export const pidsOf = (list, max = Infinity) => list.slice(0, max).map(p=>p.pid);
+
+// ids of several queues in display order, at most `max` of them
+export function pidsOfQueues(lists, max = Infinity) {
+  let pids = [];
+  for (const list of lists) {
+    if (pids.length >= max) break;
+    pids = pids.concat(pidsOf(list, max - pids.length));
+  }
+  return pids;
+}
+
+// ids of the first `max` processes of a Set or other iterable
+function firstPids(items, max = Infinity) {
+  const pids = [];
+  for (const p of items) {
+    if (pids.length >= max) break;
+    pids.push(p.pid);
+  }
+  return pids;
+}
+
+/* ---------- Ready-list structures ---------- */
+
+// binary min-heap of the items `before` puts first
+function minHeap(before) {
+  const a = [];
+  const swap = (i, j) => { [a[i], a[j]] = [a[j], a[i]]; };
+  return {
+    get size() { return a.length; },
+    peek() { return a[0]; },
+    // the first `max` items in order, left in place
+    first(max = Infinity) {
+      const out = [];
+      if (a.length === 0) return out;
+      const frontier = minHeap((i, j) => before(a[i], a[j]));
+      for (frontier.push(0); frontier.size > 0 && out.length < max;) {
+        const i = frontier.pop();
+        out.push(a[i]);
+        if (2 * i + 1 < a.length) frontier.push(2 * i + 1);
+        if (2 * i + 2 < a.length) frontier.push(2 * i + 2);
+      }
+      return out;
+    },
+    push(x) {
+      a.push(x);
+      for (let i = a.length - 1; i > 0 && before(a[i], a[(i - 1) >> 1]); i = (i - 1) >> 1) swap(i, (i - 1) >> 1);
+    },
+    pop() {
+      const top = a[0], last = a.pop();
+      if (a.length > 0) {
+        a[0] = last;
+        for (let i = 0;;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < a.length && before(a[l], a[m])) m = l;
+          if (r < a.length && before(a[r], a[m])) m = r;
+          if (m === i) break;
+          swap(i, m);
+          i = m;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+// the items in the order they were added, each holding `weight` tickets; a
+// Fenwick tree over their slots finds who holds a given ticket in O(log n)
+function ticketPool(weight) {
+  const slotOf = new Map();   // item -> slot, in the order added
+  let slots = [], tree = [], total = 0;
+  const update = (slot, w) => { for (let i = slot + 1; i < tree.length; i += i & -i) tree[i] += w; };
+  // a fresh tree twice as large as the items left, removed slots dropped
+  function rebuild() {
+    const items = [...slotOf.keys()];
+    slotOf.clear();
+    slots = [];
+    tree = new Array(Math.max(16, 2 * items.length) + 1).fill(0);
+    total = 0;
+    for (const x of items) add(x);
+  }
+  function add(x) {
+    if (slots.length >= tree.length - 1) rebuild();
+    slotOf.set(x, slots.length);
+    slots.push(x);
+    update(slots.length - 1, weight(x));
+    total += weight(x);
+  }
+  return {
+    add,
+    remove(x) {
+      const slot = slotOf.get(x);
+      slotOf.delete(x);
+      slots[slot] = null;
+      update(slot, -weight(x));
+      total -= weight(x);
+    },
+    // {item, first}: the item holding ticket t (0 <= t < total) and the
+    // first ticket it holds, counting in the order the items were added
+    find(t) {
+      let pos = 0, first = 0;
+      for (let step = 1 << Math.floor(Math.log2(tree.length - 1)); step > 0; step >>= 1) {
+        if (pos + step < tree.length && first + tree[pos + step] <= t) {
+          pos += step;
+          first += tree[pos];
+        }
+      }
+      return { item: slots[pos], first };
+    },
+    get total() { return total; },
+    get size() { return slotOf.size; },
+    items() { return slotOf.keys(); }
+  };
+}
+
+/* ---------- FCFS ---------- (non-preemptive) */
+
+// why() for the queue-based policies
+const headOf = (queue, p) => queue.length > 0
+  ? `head of the ready queue, ahead of ${queue[0].pid}`
+  : `${p.pid} is the only ready process`;
+
+function fcfsPolicy() {
+  const queue = [];
+  return {
+    onArrival(p) { queue.push(p); },
+    pickNext() { return queue.shift() ?? null; },
+    why(p) { return headOf(queue, p); },
+    readyPids(max) { return pidsOf(queue, max); },
+    readyCount() { return queue.length; }
+  };
+}
+
+/* ---------- RR ---------- */
+
+function rrPolicy(quantum = 4) {
+  const queue = [];
+  return {
+    onArrival(p) { queue.push(p); },
+    pickNext() { return queue.shift() ?? null; },
+    why(p) { return `${headOf(queue, p)}; runs for up to ${quantum}`; },
+    quantum() { return quantum; },
+    readyPids(max) { return pidsOf(queue, max); },
+    readyCount() { return queue.length; }
+  };
+}
+
+/* ---------- SJF / SRTF / Priority ----------
+   One ready list kept sorted by `compare`. The preemptive variants re-check
+   it at every event time: when the best waiting process compares strictly
+   better than the running one, the running process goes back to the list
+   and the engine writes a preempt(old->new) event.
+   Lower numeric priority value => higher priority (0 highest).
+*/
+
+// Each comparator comes with the key it sorts by first, which why() quotes.
+// shortest (remaining) CPU burst, tie-break arrival
+const bySJF = (a,b)=> a.burstLeft - b.burstLeft || a.arrival - b.arrival;
+const burstKey = { name: 'shortest burst', of: p => p.burstLeft };
+const remainingKey = { name: 'shortest remaining', of: p => p.burstLeft };
+// highest priority, tie-break arrival then burst
+const byPriority = (a,b)=> a.priority - b.priority || a.arrival - b.arrival || a.burst - b.burst;
+// highest priority, tie-break arrival then remaining
+const byPriorityPreemptive = (a,b)=> a.priority - b.priority || a.arrival - b.arrival || a.remaining - b.remaining;
+const priorityKey = { name: 'higher priority', of: p => p.priority };
+
+// Real-time (jobs of periodic tasks, see realtime.js); aperiodic processes have
+// neither a period nor a deadline and run in the background, first come first
+// served. Equal keys fall back to release time.
+// Rate Monotonic: fixed priority, shorter period first
+const byRate = (a,b)=> (a.period ?? Infinity) - (b.period ?? Infinity) || a.arrival - b.arrival;
+const periodKey = { name: 'shorter period', field: 'period', of: p => p.period ?? Infinity };
+// Earliest Deadline First: earliest absolute deadline first
+const byDeadline = (a,b)=> (a.deadline ?? Infinity) - (b.deadline ?? Infinity) || a.arrival - b.arrival;
+const deadlineKey = { name: 'earlier deadline', field: 'deadline', of: p => p.deadline ?? Infinity };
+
+function sortedPolicy(compare, preemptive, key) {
+  const list = [];
+  const show = p => key.of(p) === Infinity ? 'none' : key.of(p);
+  // p against the rival, or the best of those still waiting
+  function why(p, time, rival = list[0]) {
+    if (!rival) return `${p.pid} is the only ready process`;
+    const [a, b] = [key.of(p), key.of(rival)];
+    if (a === Infinity && b === Infinity) return `neither ${p.pid} nor ${rival.pid} has a ${key.field}; first come, first served`;
+    if (a === b) return `${key.name}: ${show(p)} ties with ${rival.pid}, broken by arrival order`;
+    return `${key.name}: ${show(p)} ${a < b ? '<' : '>'} ${show(rival)} (${rival.pid})`;
+  }
+  return {
+    onArrival(p) {
+      // binary insertion after every equal entry, as push + stable sort would
+      let lo = 0, hi = list.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (compare(list[mid], p) <= 0) lo = mid + 1;
+        else hi = mid;
+      }
+      list.splice(lo, 0, p);
+    },
+    pickNext() { return list.shift() ?? null; },
+    why,
+    shouldPreempt(p) { return preemptive && list.length > 0 && compare(list[0], p) < 0; },
+    compare,
+    readyPids(max) { return pidsOf(list, max); },
+    readyCount() { return list.length; }
+  };
+}
+
+/* ---------- Multilevel Queue (MLQ) ----------
+   - Foreground queue: processes with priority === 0 (or assigned by caller)
+     Served using Round Robin with fgQuantum.
+   - Background queue: remaining processes, served FCFS (or background quantum if provided).
+   - Processes do NOT migrate between queues in this simplified MLQ.
+*/
+function mlqPolicy(fgQuantum = 2, bgQuantum = null) {
+  const fgQueue = [], bgQueue = [];
+  return {
+    onArrival(p) {
+      if (p.priority === 0) fgQueue.push(p);
+      else bgQueue.push(p);
+    },
+    pickNext() { return fgQueue.shift() ?? bgQueue.shift() ?? null; },
+    why(p) {
+      return p.priority === 0
+        ? `head of the foreground queue (RR, quantum ${fgQuantum})`
+        : `foreground queue empty; head of the background queue (${bgQuantum ? `RR, quantum ${bgQuantum}` : 'FCFS'})`;
+    },
+    quantum(p) { return p.priority === 0 ? fgQuantum : (bgQuantum ?? Infinity); },
+    readyPids(max) { return pidsOfQueues([fgQueue, bgQueue], max); },
+    readyCount() { return fgQueue.length + bgQueue.length; }
+  };
+}
+
+/* ---------- Multilevel Feedback Queue (MLFQ) ----------
+   - levels: [{quantum, policy:'RR'|'FCFS'}], level 0 is the highest.
+   - New arrivals enter level 0. A process that uses its whole quantum is
+     demoted one level; a process preempted by a higher level, or returning
+     from I/O, keeps its level and goes to the tail of its queue.
+   - aging (optional): a process waiting `aging` units in one queue is
+     promoted one level.
+   - boost (optional): every `boost` units all processes move to level 0,
+     including those blocked on I/O at that moment.
+*/
+export const DEFAULT_MLFQ_LEVELS = [
+  { quantum: 2, policy: 'RR' },
+  { quantum: 4, policy: 'RR' },
+  { quantum: null, policy: 'FCFS' }
+];
+
+function mlfqPolicy(levels = DEFAULT_MLFQ_LEVELS, { aging = null, boost = null } = {}, emit) {
+  if (!levels || levels.length === 0) levels = DEFAULT_MLFQ_LEVELS;
+  const queues = levels.map(() => []);
+  const levelName = i => levels[i].policy === 'FCFS' ? `Q${i} FCFS` : `Q${i} RR q=${levels[i].quantum}`;
+
+  function push(p, level, time) {
+    p.level = level;
+    p.queuedAt = time;
+    queues[level].push(p);
+  }
+
+  // every push stamps the current time, so each queue is ordered by queuedAt
+  // and only a prefix of it can be due for promotion
+  function applyAging(time) {
+    // walk from level 1 upwards so a process is promoted at most once per tick
+    for (let i=1;i<queues.length;i++) {
+      while (queues[i].length > 0 && time - queues[i][0].queuedAt >= aging) {
+        const p = queues[i].shift();
+        push(p, i-1, time);
+        emit(`age(${p.pid},Q${i}->Q${i-1})`, `${p.pid} waited ${aging} units in Q${i}`);
+      }
+    }
+  }
+
+  function applyBoost(time, running) {
+    const lower = queues.slice(1).flat();
+    for (let i=1;i<queues.length;i++) queues[i] = [];
+    for (const p of lower) push(p, 0, time);
+    for (const p of running) {
+      p.level = 0;
+      p.used = 0;
+    }
+    emit('boost', `every ${boost} units all processes go back to Q0`);
+  }
+
+  return {
+    onArrival(p, time) { push(p, 0, time); },
+    onBlock(p, time) { p.blockedAt = time; },
+    onWake(p, time) {
+      // a boost that happened while p was blocked also applies to p
+      const boosted = boost && Math.floor(time / boost) > Math.floor(p.blockedAt / boost);
+      p.blockedAt = null;
+      push(p, boosted ? 0 : p.level, time);
+    },
+    // preempted by a higher level: same level, tail of its queue (without
+    // this the engine would fall back to onWake)
+    onPreempt(p, time) { push(p, p.level, time); },
+    onQuantumExpire(p, time) {
+      // used the whole quantum: demote (the last level just re-queues)
+      const to = Math.min(p.level + 1, levels.length - 1);
+      if (to !== p.level) emit(`demote(${p.pid},Q${p.level}->Q${to})`, `${p.pid} used its whole Q${p.level} quantum`);
+      push(p, to, time);
+    },
+    onTick(time, running) {
+      if (aging) applyAging(time);
+      if (boost && time % boost === 0) applyBoost(time, running);
+    },
+    nextEvent(time) {
+      let next = boost ? (Math.floor(time / boost) + 1) * boost : Infinity;
+      if (aging) {
+        for (let i=1;i<queues.length;i++) {
+          if (queues[i].length > 0) next = Math.min(next, queues[i][0].queuedAt + aging);
+        }
+      }
+      return Math.max(next, time + 1);
+    },
+    pickNext() {
+      const q = queues.find(q => q.length > 0);
+      return q ? q.shift() : null;
+    },
+    why(p, time, rival) {
+      if (rival) return `${p.pid} in Q${p.level} outranks ${rival.pid} in Q${rival.level}`;
+      const above = p.level === 0 ? 'the top level' : p.level === 1 ? 'Q0 is empty' : `Q0-Q${p.level - 1} are empty`;
+      return `head of ${levelName(p.level)}; ${above}`;
+    },
+    shouldPreempt(p) {
+      const top = queues.findIndex(q => q.length > 0);
+      return top !== -1 && top < p.level;
+    },
+    quantum(p) {
+      return levels[p.level].policy === 'FCFS' ? Infinity : levels[p.level].quantum;
+    },
+    compare(a, b) { return a.level - b.level; },
+    readyPids(max) { return pidsOfQueues(queues, max); },
+    readyCount() { return queues.reduce((s,q)=>s + q.length, 0); },
+    queues(max) { return queues.map((q,i) => ({ name: levelName(i), pids: pidsOf(q, max), count: q.length })); }
+  };
+}
+
+/* ---------- Lottery / Stride ----------
+   Proportional share: over time each process gets CPU in proportion to its
+   tickets (p.tickets, see simulate()). Both hand out one time slice
+   (quantum) per pick.
+   - Lottery: every pick draws one of the ready processes' tickets with a
+     seeded PRNG, so the same seed repeats the run.
+   - Stride: deterministic. Each process has a pass that grows by
+     STRIDE1 / tickets per time unit it runs; the lowest pass runs next (ties:
+     the first to become ready). A process that arrives or wakes starts no
+     lower than the pass of the last pick, so it can't catch up by holding
+     the CPU.
+*/
+function lotteryPolicy(quantum, seed, emit) {
+  const rng = createRng(seed);
+  const pool = ticketPool(p => p.tickets);   // ready, in the order they became ready
+  let drawn = '';
+  return {
+    onArrival(p) { pool.add(p); },
+    pickNext() {
+      if (pool.size === 0) return null;
+      const total = pool.total;
+      const ticket = Math.floor(rng() * total);
+      const { item: p, first } = pool.find(ticket);
+      pool.remove(p);
+      const held = p.tickets === 1 ? `ticket ${first}` : `tickets ${first}-${first + p.tickets - 1}`;
+      drawn = `won the draw: ticket ${ticket} is in ${p.pid}'s ${held}`;
+      if (pool.size > 0) emit(`draw(${p.pid},${ticket}/${total})`, `drew ticket ${ticket} of the ${total} held by ${pool.size + 1} ready processes`);
+      return p;
+    },
+    why(p) { return pool.size > 0 ? drawn : `${p.pid} is the only ready process`; },
+    quantum() { return quantum; },
+    readyPids(max) { return firstPids(pool.items(), max); },
+    readyCount() { return pool.size; }
+  };
+}
+
+const STRIDE1 = 10000;
+
+function stridePolicy(quantum) {
+  // lowest pass first, ties in the order they became ready
+  const heap = minHeap((a, b) => (a.pass - b.pass || a.joined - b.joined) < 0);
+  const ready = new Set();   // display order: the order they became ready
+  let lastPass = 0, joins = 0;
+  const join = p => {
+    p.pass = Math.max(p.pass ?? 0, lastPass);
+    p.joined = joins++;
+    heap.push(p);
+    ready.add(p);
+  };
+  const charge = p => { p.pass += p.used * STRIDE1 / p.tickets; };
+  return {
+    onArrival: join,
+    onPreempt(p) { charge(p); join(p); },
+    onQuantumExpire(p) { charge(p); join(p); },
+    onBlock: charge,
+    pickNext() {
+      if (heap.size === 0) return null;
+      const p = heap.pop();
+      ready.delete(p);
+      lastPass = p.pass;
+      return p;
+    },
+    why(p) {
+      if (heap.size === 0) return `${p.pid} is the only ready process`;
+      const next = heap.peek();
+      return `lowest pass ${Math.round(p.pass)} (next: ${next.pid} at ${Math.round(next.pass)}); stride ${Math.round(STRIDE1 / p.tickets)} for ${p.tickets} ticket${p.tickets === 1 ? '' : 's'}`;
+    },
+    quantum() { return quantum; },
+    readyPids(max) { return firstPids(ready, max); },
+    readyCount() { return heap.size; }
+  };
+}
+
+/* ---------- CFS ----------
+   Completely Fair Scheduler, after Linux. nice = priority clamped to
+   [-20, 19] and weight comes from Linux's nice-to-weight table (nice 0 is
+   1024, each nice step about 1.25x). Running t units adds
+   t * 1024 / weight to a process's vruntime, and the ready process with the
+   lowest vruntime runs next (ties: the first to become ready).
+   - slice: latency * weight / total runnable weight, at least minGranularity
+     and rounded to whole units. With more than latency / minGranularity
+     runnable processes the period stretches to n * minGranularity.
+   - min_vruntime never decreases and follows the vruntime of each pick.
+     Arrivals start there; processes waking from I/O start no lower than
+     min_vruntime - latency / 2, a little credit for sleeping but no monopoly.
+   - wakeup preemption: a process that arrives or wakes with a vruntime more
+     than minGranularity below the running process's takes its CPU.
+   why() spells out the vruntime comparison and the slice of every pick.
+*/
+const NICE_0_WEIGHT = 1024;
+const NICE_WEIGHTS = [
+  /* -20 */ 88761, 71755, 56483, 46273, 36291,
+  /* -15 */ 29154, 23254, 18705, 14949, 11916,
+  /* -10 */  9548,  7620,  6100,  4904,  3906,
+  /*  -5 */  3121,  2501,  1991,  1586,  1277,
+  /*   0 */  1024,   820,   655,   526,   423,
+  /*   5 */   335,   272,   215,   172,   137,
+  /*  10 */   110,    87,    70,    56,    45,
+  /*  15 */    36,    29,    23,    18,    15
+];
+export const niceOf = p => Math.max(-20, Math.min(19, Math.round(p.priority)));
+export const weightOf = p => NICE_WEIGHTS[niceOf(p) + 20];
+
+function cfsPolicy({ latency = 12, minGranularity = 2 } = {}) {
+  // lowest vruntime first (ties: the first to become ready)
+  const earlier = (a, b) => (a.vruntime - b.vruntime || a.joined - b.joined) < 0;
+  const ready = minHeap(earlier);
+  const running = new Set();        // picked and maybe still on a CPU
+  let readyWeight = 0;              // total weight of `ready`
+  let joins = 0;
+  // the first ready processes in order, for readyPids: the `shown.list.length`
+  // lowest (all of them when `shown.all`), kept up to date on push and pop
+  let shown = null;                 // {max, list, all}
+  let fresh = [], freshAt = null;   // arrived or woke at time freshAt
+  let minVruntime = 0;
+  let preemptReason = null;
+  let pickReason = '', lastPreempt = '';
+  const fmt = v => String(Number(v.toFixed(2)));
+  // a finished process is never charged for its last slice
+  const vruntime = p => p.vruntime + (p.state === 'running' || p.state === 'done' ? p.used * NICE_0_WEIGHT / weightOf(p) : 0);
+
+  function insert(p) {
+    p.joined = joins++;
+    p.readyIn = ready;   // with per-core queues, which core's heap
+    ready.push(p);
+    const list = shown?.list;
+    if (list && (shown.all || earlier(p, list.at(-1)))) {
+      let lo = 0, hi = list.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (earlier(list[mid], p)) lo = mid + 1;
+        else hi = mid;
+      }
+      list.splice(lo, 0, p);
+      if (list.length > 2 * shown.max) {
+        list.pop();
+        shown.all = false;
+      }
+    }
+    readyWeight += weightOf(p);
+  }
+  function wake(p, time, by) {
+    p.wokeAt = time;
+    p.wokeBy = by;
+    if (freshAt !== time) [fresh, freshAt] = [[], time];
+    fresh.push(p);
+    insert(p);
+  }
+  function charge(p) {
+    p.vruntime += p.used * NICE_0_WEIGHT / weightOf(p);
+    running.delete(p);
+  }
+  function onCPU() {
+    for (const p of running) if (p.state !== 'running') running.delete(p);
+    return running;
+  }
+
+  return {
+    onArrival(p, time) {
+      p.vruntime = minVruntime;
+      wake(p, time, 'arrived');
+    },
+    onWake(p, time) {
+      p.vruntime = Math.max(p.vruntime, minVruntime - latency / 2);
+      wake(p, time, 'woke');
+    },
+    onPreempt(p) { charge(p); insert(p); },
+    onQuantumExpire(p) { charge(p); insert(p); },
+    onBlock: charge,
+    pickNext() {
+      if (ready.size === 0) return null;
+      const p = ready.pop();
+      shown?.list.shift();
+      if (shown && !shown.all && shown.list.length < shown.max) shown = null;
+      minVruntime = Math.max(minVruntime, p.vruntime);
+      let total = readyWeight;
+      readyWeight -= weightOf(p);
+      for (const q of onCPU()) total += weightOf(q);
+      const n = ready.size + running.size + 1;
+      const period = Math.max(latency, n * minGranularity);
+      p.slice = Math.max(1, minGranularity, Math.round(period * weightOf(p) / total));
+
+      const why = preemptReason ? [preemptReason] : [];
+      const next = ready.peek();
+      why.push(next
+        ? `lowest vruntime ${fmt(p.vruntime)} (next: ${next.pid} at ${fmt(next.vruntime)})`
+        : `only ready process (vruntime ${fmt(p.vruntime)})`);
+      why.push(`nice ${niceOf(p)} -> weight ${weightOf(p)}, slice ${p.slice} = max(${minGranularity}, ${period} x ${weightOf(p)}/${total})`);
+      lastPreempt = preemptReason;
+      preemptReason = null;
+      running.add(p);
+      pickReason = why.join('; ');
+      return p;
+    },
+    why(p, time, rival) { return rival ? lastPreempt : pickReason; },
+    shouldPreempt(p, time) {
+      // the lowest vruntime among those that arrived or woke just now and
+      // are still waiting (ties: the first to become ready)
+      if (freshAt !== time) return false;
+      fresh = fresh.filter(q => q.state === 'ready' && q.readyIn === ready && q.wokeAt === time);
+      const woken = fresh.reduce((a, q) => !a || q.vruntime < a.vruntime ? q : a, null);
+      if (!woken || woken.vruntime + minGranularity >= vruntime(p)) return false;
+      preemptReason = `${woken.pid} ${woken.wokeBy} with vruntime ${fmt(woken.vruntime)}, more than ${minGranularity} below ${p.pid}'s ${fmt(vruntime(p))}`;
+      return true;
+    },
+    quantum(p) { return p.slice; },
+    compare(a, b) { return vruntime(a) - vruntime(b); },
+    sortKey: vruntime,
+    sortKeyName: 'vruntime',
+    // every trace entry lists the ready pids: walk the heap for twice as
+    // many as asked and refill only once pops have used half of them up
+    readyPids(max = Infinity) {
+      if (shown?.max !== max) {
+        const list = ready.first(2 * max);
+        shown = { max, list, all: list.length === ready.size };
+      }
+      return firstPids(shown.list, max);
+    },
+    readyCount() { return ready.size; }
+  };
+}
+
+/* ---------- Built-in algorithms ---------- (dropdown order) */
+
+registerPolicy('RR', { label: 'Round Robin (RR)', options: ['quantum'], create: o => rrPolicy(o.quantum ?? 4) });
+registerPolicy('FCFS', { label: 'FCFS', create: () => fcfsPolicy() });
+registerPolicy('SJF', { label: 'SJF (Non-preemptive)', create: () => sortedPolicy(bySJF, false, burstKey) });
+registerPolicy('SRTF', { label: 'SJF (Preemptive / SRTF)', create: () => sortedPolicy(bySJF, true, remainingKey) });
+registerPolicy('PRIORITY', { label: 'Priority (Non-preemptive)', create: () => sortedPolicy(byPriority, false, priorityKey) });
+registerPolicy('PRIORITY_P', { label: 'Priority (Preemptive)', create: () => sortedPolicy(byPriorityPreemptive, true, priorityKey) });
+registerPolicy('MLQ', {
+  label: 'Multilevel Queue (Foreground RR / Background FCFS)',
+  options: ['mlqFgQuantum', 'mlqBgQuantum'],
+  create: o => mlqPolicy(o.mlqFgQuantum ?? 2, o.mlqBgQuantum ?? 4)
+});
+registerPolicy('MLFQ', {
+  label: 'Multilevel Feedback Queue (MLFQ)',
+  options: ['mlfqLevels', 'mlfqAging', 'mlfqBoost'],
+  create: (o, emit) => mlfqPolicy(o.mlfqLevels ?? DEFAULT_MLFQ_LEVELS, {
+    aging: o.mlfqAging ?? null,
+    boost: o.mlfqBoost ?? null
+  }, emit)
+});
+registerPolicy('LOTTERY', {
+  label: 'Lottery (proportional share)',
+  options: ['quantum', 'seed'],
+  create: (o, emit) => lotteryPolicy(o.quantum ?? 4, o.seed ?? 1, emit)
+});
+registerPolicy('STRIDE', { label: 'Stride (proportional share)', options: ['quantum'], create: o => stridePolicy(o.quantum ?? 4) });
+registerPolicy('CFS', {
+  label: 'CFS (Completely Fair Scheduler)',
+  options: ['cfsLatency', 'cfsMinGranularity'],
+  create: o => cfsPolicy({ latency: o.cfsLatency ?? 12, minGranularity: o.cfsMinGranularity ?? 2 })
+});
+registerPolicy('RM', { label: 'Rate Monotonic (RM)', create: () => sortedPolicy(byRate, true, periodKey) });
+registerPolicy('EDF', { label: 'Earliest Deadline First (EDF)', create: () => sortedPolicy(byDeadline, true, deadlineKey) });
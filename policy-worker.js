@@ -0,0 +1,20 @@
+// policy-worker.js
+// Web Worker behind runCustomPolicy(): compiles the editor's code, runs it on
+// the shared engine and posts the result (or the error) back once.
+import { simulate, registerPolicy } from './scheduler.js';
+import { compilePolicy, makeCustomPolicy, CUSTOM_POLICY, PolicyError } from './custom-policy.js';
+
+// registered once; each message swaps in the policy compiled from its code
+let create = null;
+registerPolicy(CUSTOM_POLICY, { label: 'Custom', create: (options, emit) => create(options, emit) });
+
+self.onmessage = ({ data }) => {
+  try {
+    create = makeCustomPolicy(compilePolicy(data.code), { stepBudget: data.stepBudget });
+    const sim = simulate(CUSTOM_POLICY, data.processes, data.options);
+    self.postMessage({ ok: true, trace: sim.trace, timeline: sim.historySnapshots, stats: sim.stats });
+  } catch (err) {
+    const error = PolicyError.from(err);
+    self.postMessage({ ok: false, error: { message: error.reason, line: error.line } });
+  }
+};
@@ -0,0 +1,122 @@
+// quiz.js
+// Practice mode: makeQuiz() generates a small workload and works out the
+// answers with simulate(); gradeQuiz() marks a student's attempt.
+// A quiz asks for
+//   order       the execution order as segments "P1 3, P2 4, idle 1, P1 2"
+//               (pid and length; a bare pid is one unit), graded unit by unit
+//   completion  each process's completion time
+//   avgWaiting  the average waiting time, to two decimals
+import { simulate } from './scheduler.js';
+import { generateWorkload } from './workload.js';
+import { createRng } from './utils.js';
+
+// count: [min, max] processes; overlap: arrivals land while other processes
+// run, otherwise everything arrives at 0
+export const QUIZ_LEVELS = {
+  easy:   { label: 'Easy',   count: [3, 3], maxBurst: 6, algorithms: ['FCFS', 'SJF'], overlap: false },
+  medium: { label: 'Medium', count: [4, 4], maxBurst: 7, algorithms: ['FCFS', 'SJF', 'PRIORITY', 'RR'], overlap: true },
+  hard:   { label: 'Hard',   count: [5, 6], maxBurst: 8, algorithms: ['SRTF', 'PRIORITY_P', 'RR'], overlap: true }
+};
+
+const IDLE = 'idle';
+
+// -> { level, seed, algorithm, opts, procs, answer: { slots, completion, avgWaiting }, sim }
+export function makeQuiz(level = 'easy', seed = 1) {
+  const spec = QUIZ_LEVELS[level];
+  if (!spec) throw new Error(`Unknown quiz level "${level}" (choose from ${Object.keys(QUIZ_LEVELS).join(', ')})`);
+  const rng = createRng(seed);
+  const pick = list => list[Math.floor(rng() * list.length)];
+  const [min, max] = spec.count;
+  const count = min + Math.floor(rng() * (max - min + 1));
+  const algorithm = pick(spec.algorithms);
+  const opts = algorithm === 'RR' ? { quantum: pick([2, 3]) } : {};
+  const procs = generateWorkload({
+    count,
+    seed: Math.floor(rng() * 2 ** 31),
+    // spread over about half the total work, so most arrivals find the CPU busy
+    arrival: { type: 'uniform', max: spec.overlap ? Math.floor(count * spec.maxBurst / 4) : 0 },
+    burst: { type: 'uniform', min: 1, max: spec.maxBurst },
+    priority: { min: 1, max: 4 }
+  });
+  const sim = simulate(algorithm, procs, opts);
+  return { level, seed, algorithm, opts, procs, answer: answerOf(sim), sim };
+}
+
+// what a student should write for a run: one pid (or null, idle) per time unit
+export function answerOf(sim) {
+  const slots = [];
+  for (const t of sim.trace) {
+    if (t.duration === undefined) continue;
+    for (let i = 0; i < t.duration; i++) slots[t.time + i] = t.event.startsWith('exec(') ? t.cpu : null;
+  }
+  const completion = Object.fromEntries(sim.stats.processes.map(p => [p.pid, p.completionTime]));
+  return { slots: Array.from(slots, s => s ?? null), completion, avgWaiting: sim.stats.avgWaiting };
+}
+
+// "P1 3, P2, idle 2" -> ['P1', 'P1', 'P1', 'P2', null, null]; throws on a bad segment.
+// A typed pid matching one of `pids` but for case is spelled as in `pids`.
+export function parseOrder(text, pids = []) {
+  const spelling = new Map(pids.map(pid => [pid.toLowerCase(), pid]));
+  const slots = [];
+  for (const part of String(text).split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^(\S+)(?:\s+(\d+))?$/.exec(part);
+    if (!m || (m[2] !== undefined && Number(m[2]) < 1)) {
+      throw new Error(`"${part}" is not a segment (write a pid and a length, e.g. P1 3)`);
+    }
+    const pid = m[1].toLowerCase() === IDLE || m[1] === '-' ? null : spelling.get(m[1].toLowerCase()) ?? m[1];
+    for (let i = 0; i < Number(m[2] ?? 1); i++) slots.push(pid);
+  }
+  return slots;
+}
+
+// the other way round, for showing an answer: merges runs of one pid
+export function formatOrder(slots) {
+  const parts = [];
+  for (let t = 0; t < slots.length;) {
+    let end = t;
+    while (end < slots.length && slots[end] === slots[t]) end++;
+    parts.push(`${slots[t] ?? IDLE} ${end - t}`);
+    t = end;
+  }
+  return parts.join(', ');
+}
+
+// attempt: { order: text, completion: {pid: value}, avgWaiting: value }
+// -> { order: {correct, firstWrong, expected, got, error?},
+//      completion: {pid: {correct, expected, got}},
+//      avgWaiting: {correct, expected, got}, score, total }
+// firstWrong is the first time unit that differs (null when all match)
+export function gradeQuiz(quiz, attempt) {
+  const { slots, completion, avgWaiting } = quiz.answer;
+  const order = { correct: false, firstWrong: 0, expected: slots, got: [] };
+  try {
+    order.got = parseOrder(attempt.order ?? '', Object.keys(completion));
+    const got = order.got;
+    let t = 0;
+    while (t < slots.length && t < got.length && slots[t] === got[t]) t++;
+    order.firstWrong = t === slots.length && t === got.length ? null : t;
+    order.correct = order.firstWrong === null;
+  } catch (err) {
+    order.error = err.message;
+  }
+
+  const number = v => v === '' || v === null || v === undefined ? NaN : Number(v);
+  const times = {};
+  for (const [pid, expected] of Object.entries(completion)) {
+    const got = number(attempt.completion?.[pid]);
+    times[pid] = { correct: got === expected, expected, got };
+  }
+  const gotWaiting = number(attempt.avgWaiting);
+  const waiting = { correct: Math.abs(gotWaiting - avgWaiting) < 0.005 + 1e-9, expected: avgWaiting, got: gotWaiting };
+
+  const marks = [order.correct, ...Object.values(times).map(c => c.correct), waiting.correct];
+  return { order, completion: times, avgWaiting: waiting, score: marks.filter(Boolean).length, total: marks.length };
+}
+
+// the trace cut off at `time`, for revealing the correct Gantt chart step by
+// step: segments are clipped, later entries dropped
+export function revealTrace(trace, time) {
+  return trace
+    .filter(t => t.time < time || (t.time === time && t.duration === undefined))
+    .map(t => t.duration !== undefined && t.time + t.duration > time ? { ...t, duration: time - t.time } : t);
+}
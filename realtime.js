@@ -0,0 +1,88 @@
+// realtime.js
+// Periodic real-time tasks. A periodic task is a process with a `period`: it
+// releases a job of `burst` units at arrival, arrival + period, ... and each
+// job must finish within `deadline` units of its release (default: the
+// period). simulate() expands tasks into jobs with expandPeriodic(), so RM,
+// EDF and every other policy just see processes. Job pids are <task>#<n>,
+// n counting from 1.
+// schedulability() runs the classic utilization tests on a task set.
+
+// no run goes further than this, however long the hyperperiod
+export const HORIZON_LIMIT = 10000;
+
+const gcd = (a, b) => b ? gcd(b, a % b) : a;
+
+export function hyperperiod(periods) {
+  return periods.reduce((l, p) => l / gcd(l, p) * p, 1);
+}
+
+// one hyperperiod after the last first release, capped at HORIZON_LIMIT;
+// 0 without periodic tasks
+export function defaultHorizon(procs) {
+  const tasks = procs.filter(p => p.period);
+  if (tasks.length === 0) return 0;
+  const start = tasks.reduce((m, p) => Math.max(m, p.arrival), 0);
+  return Math.min(start + hyperperiod(tasks.map(p => p.period)), HORIZON_LIMIT);
+}
+
+// processes -> the same list with each periodic task replaced by the jobs
+// it releases before `horizon`; every deadline becomes absolute
+export function expandPeriodic(procs, horizon = defaultHorizon(procs)) {
+  const out = [];
+  for (const p of procs) {
+    if (!p.period) {
+      out.push(p.deadline != null ? { ...p, deadline: p.arrival + p.deadline } : p);
+      continue;
+    }
+    const relative = p.deadline ?? p.period;
+    for (let n = 1, release = p.arrival; release < Math.min(horizon, HORIZON_LIMIT); n++, release += p.period) {
+      out.push({ ...p, pid: `${p.pid}#${n}`, task: p.pid, arrival: release, deadline: release + relative });
+    }
+  }
+  return out;
+}
+
+// Utilization tests for the periodic tasks among `procs` (C = burst,
+// T = period, D = deadline or T):
+//   RM   Liu & Layland: U <= n(2^(1/n) - 1) is enough when every D = T;
+//        above the bound the test can't tell, above 1 nothing can work
+//   EDF  U <= 1 is exact when every D >= T; with shorter deadlines the
+//        density sum C / min(D, T) <= 1 is enough
+// verdicts: { schedulable: true | false | null (inconclusive), reason }
+export function schedulability(procs) {
+  const tasks = procs.filter(p => p.period);
+  const n = tasks.length;
+  const utilization = tasks.reduce((s, t) => s + t.burst / t.period, 0);
+  const density = tasks.reduce((s, t) => s + t.burst / Math.min(t.deadline ?? t.period, t.period), 0);
+  const constrained = tasks.some(t => (t.deadline ?? t.period) < t.period);
+  const rmBound = n > 0 ? n * (2 ** (1 / n) - 1) : 1;
+  const f = v => v.toFixed(3);
+
+  let rm, edf;
+  if (utilization > 1) {
+    rm = edf = { schedulable: false, reason: `U = ${f(utilization)} > 1` };
+  } else {
+    if (constrained) rm = { schedulable: null, reason: 'some deadlines are shorter than their periods, so the Liu & Layland bound does not apply' };
+    else if (utilization <= rmBound) rm = { schedulable: true, reason: `U = ${f(utilization)} <= n(2^(1/n) - 1) = ${f(rmBound)}` };
+    else rm = { schedulable: null, reason: `U = ${f(utilization)} > n(2^(1/n) - 1) = ${f(rmBound)}: the Liu & Layland test is inconclusive` };
+
+    if (!constrained) edf = { schedulable: true, reason: `U = ${f(utilization)} <= 1` };
+    else if (density <= 1) edf = { schedulable: true, reason: `density ${f(density)} <= 1` };
+    else edf = { schedulable: null, reason: `density ${f(density)} > 1: the density test is inconclusive` };
+  }
+  return { n, utilization, density, rmBound, rm, edf };
+}
+
+// Gantt chart marks for a run: an arrow at each job release and a line at
+// each missed deadline
+export function timingMarks(stats) {
+  const marks = stats.processes.filter(p => p.task).map(p => ({ time: p.arrival, kind: 'release' }));
+  for (const m of stats.deadlines?.missed ?? []) marks.push({ time: m.deadline, kind: 'miss', label: m.pid });
+  return marks;
+}
+
+// pid -> its task's pid, so the Gantt chart colours every job of a task alike
+export function taskColorKey(stats) {
+  const tasks = new Map(stats.processes.map(p => [p.pid, p.task ?? p.pid]));
+  return pid => tasks.get(pid) ?? pid;
+}
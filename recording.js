@@ -0,0 +1,126 @@
+// recording.js
+// Records a whole playback to a file without touching the visible player: a
+// separate Animator draws every snapshot offscreen, the Gantt chart's
+// progress up to that snapshot is composited below it, and the frames are
+// encoded as WebM (MediaRecorder on a canvas stream) or as an animated GIF
+// (gif.js).
+//   const blob = await recordPlayback({ history, trace, format: 'gif' });
+// options: {
+//   history        snapshots to play (sim.historySnapshots)
+//   trace          the run's trace, for the Gantt chart
+//   gantt          drawGanttChart options (colorKey, marks, lanes)
+//   caption        snap => text, as Animator.caption
+//   format         'webm' (default) or 'gif'
+//   framesPerStep  frames each snapshot stays on screen (default 4); in WebM
+//                  the first half of them slide the processes over from the
+//                  previous snapshot, as the player's steps do
+//   fps            frame rate (default 10)
+//   onProgress     (done, total) => void, after each snapshot
+// }
+// WebM is captured in real time, so recording takes as long as the video
+// plays; a GIF is encoded as fast as its frames can be drawn, one frame per
+// snapshot.
+import { Animator } from './animation.js';
+import { drawGanttChart, ganttColors } from './gantt.js';
+import { GifEncoder, buildPalette } from './gif.js';
+
+const VIS_WIDTH = 1000, VIS_HEIGHT = 480;
+// the page paints these behind the two canvases with CSS
+const VIS_BACKGROUND = '#041226', GANTT_BACKGROUND = '#08121a';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export function webmSupported() {
+  return typeof MediaRecorder !== 'undefined' && WEBM_TYPES.some(t => MediaRecorder.isTypeSupported(t));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function recordPlayback(options) {
+  const { history, format = 'webm', framesPerStep = 4, fps = 10, onProgress = null } = options;
+  if (!history || history.length === 0) throw new Error('Nothing to record. Run a simulation first.');
+  if (format !== 'webm' && format !== 'gif') throw new Error(`Unknown recording format "${format}" (use webm or gif)`);
+  if (format === 'webm' && !webmSupported()) throw new Error('This browser cannot record WebM. Choose GIF instead.');
+  const frames = compositor(options);
+  const run = { frames, steps: history.length, framesPerStep: Math.max(1, framesPerStep), fps, onProgress };
+  return format === 'gif' ? recordGIF(run) : recordWebM(run);
+}
+
+// an offscreen canvas with draw(index, t): snapshot `index` (`t` of the way
+// over from the one before) on top, the Gantt chart drawn up to its time below
+function compositor({ history, trace, gantt = {}, caption = null }) {
+  const vis = document.createElement('canvas');
+  const animator = new Animator(vis, VIS_WIDTH, VIS_HEIGHT, { pixelRatio: 1 });
+  animator.caption = caption;
+  animator.colorOf = ganttColors(trace, gantt);
+  animator.loadHistory(history);
+
+  const chart = document.createElement('canvas');
+  chart.width = VIS_WIDTH;
+  drawGanttChart(chart, trace, gantt);   // sets the chart's height
+
+  const canvas = document.createElement('canvas');
+  canvas.width = VIS_WIDTH;
+  canvas.height = VIS_HEIGHT + chart.height;
+  const ctx = canvas.getContext('2d');
+  return {
+    canvas,
+    draw(index, t = 1) {
+      animator.current = index;
+      animator.drawTransition(index > 0 ? index - 1 : null, t);
+      const time = history.at(index).time;
+      drawGanttChart(chart, trace, { ...gantt, until: time, playhead: time });
+      ctx.fillStyle = VIS_BACKGROUND;
+      ctx.fillRect(0, 0, canvas.width, VIS_HEIGHT);
+      ctx.fillStyle = GANTT_BACKGROUND;
+      ctx.fillRect(0, VIS_HEIGHT, canvas.width, chart.height);
+      ctx.drawImage(vis, 0, 0);
+      ctx.drawImage(chart, 0, VIS_HEIGHT);
+    }
+  };
+}
+
+async function recordWebM({ frames, steps, framesPerStep, fps, onProgress }) {
+  const stream = frames.canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t)) });
+  const chunks = [];
+  recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+  recorder.start();
+  try {
+    for (let i = 0; i < steps; i++) {
+      const tweenFrames = Math.ceil(framesPerStep / 2);
+      for (let f = 0; f < framesPerStep; f++) {
+        if (f < tweenFrames) frames.draw(i, (f + 1) / tweenFrames);
+        track.requestFrame();
+        await sleep(1000 / fps);
+      }
+      onProgress?.(i + 1, steps);
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+async function recordGIF({ frames, steps, framesPerStep, fps, onProgress }) {
+  const { width, height } = frames.canvas;
+  const ctx = frames.canvas.getContext('2d');
+  const pixels = index => {
+    frames.draw(index);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  // the colours of the first, middle and last frames make the palette
+  const palette = buildPalette([0, Math.floor(steps / 2), steps - 1].map(pixels));
+  const gif = new GifEncoder(width, height, palette);
+  for (let i = 0; i < steps; i++) {
+    // the repeated frames of one step collapse into one longer GIF frame
+    gif.addFrame(pixels(i), framesPerStep * 1000 / fps);
+    onProgress?.(i + 1, steps);
+    await sleep(0);   // let the page repaint the progress
+  }
+  return new Blob([gif.finish()], { type: 'image/gif' });
+}
@@ -1,412 +1,672 @@
 // scheduler.js
-// Multi-algorithm scheduler simulator
+// Multi-algorithm scheduler simulator: one shared engine runs the policies
+// registered in policies.js
 // Usage: simulate(algorithm, processes, options)
-// processes: [{pid, arrival, burst, priority?}]
-// algorithm: 'RR'|'FCFS'|'SJF'|'PRIORITY'|'MLQ'
-// options: { quantum, mlqFgQuantum, ... }
+// processes: [{pid, arrival, burst, priority?, bursts?, tickets?, period?,
+//              deadline?}]
+//   bursts (optional): alternating CPU / I/O lengths starting and ending with
+//   a CPU burst, e.g. [4, 3, 2] = CPU 4, I/O 3, CPU 2. `burst` is ignored
+//   when bursts is given.
+//   tickets (optional): proportional-share weight; without it a process gets
+//   maxPriority - priority + 1 tickets, so priority 0 gets the most
+//   period (optional): makes the process a periodic task, run as one job per
+//   period up to options.horizon (see realtime.js)
+//   deadline (optional): units after arrival (or each release) to finish by;
+//   stats.deadlines lists the misses
+// algorithm: a registered policy id; built in: 'RR'|'FCFS'|'SJF'|'SRTF'|
+//   'PRIORITY'|'PRIORITY_P'|'MLQ'|'MLFQ'|'LOTTERY'|'STRIDE'|'CFS'|'RM'|'EDF'
+// options: { quantum, mlqFgQuantum, mlfqLevels, mlfqAging, mlfqBoost, seed,
+//            contextSwitch, cores, coreQueues, balance, affinity, horizon, ... }
+
+import { getPolicy, listPolicies } from './policies.js';
+import { expandPeriodic, defaultHorizon } from './realtime.js';
+
+export { registerPolicy, getPolicy, listPolicies, DEFAULT_MLFQ_LEVELS } from './policies.js';
 
 function deepCopy(o){ return JSON.parse(JSON.stringify(o)); }
 
-export function simulate(algorithm, processes, options = {}) {
-  const procsIn = processes.map(p => ({
-    pid: String(p.pid),
-    arrival: Number(p.arrival),
-    burst: Number(p.burst),
-    priority: p.priority !== undefined ? Number(p.priority) : 0
-  }));
+// ids of the built-in algorithms, in dropdown order; listPolicies() also has
+// the ones registered later
+export const ALGORITHMS = listPolicies().map(p => p.id);
 
-  switch (algorithm) {
-    case 'RR':
-      return simulateRR(procsIn, options.quantum ?? 4);
-    case 'FCFS':
-      return simulateFCFS(procsIn);
-    case 'SJF':
-      return simulateSJF(procsIn);
-    case 'PRIORITY':
-      return simulatePriority(procsIn);
-    case 'MLQ':
-      return simulateMLQ(procsIn, options.mlqFgQuantum ?? 2, options.mlqBgQuantum ?? 4);
-    default:
-      return simulateRR(procsIn, options.quantum ?? 4);
+export function simulate(algorithm, processes, options = {}) {
+  const def = getPolicy(algorithm);
+  if (!def) throw new Error(`Unknown algorithm "${algorithm}" (choose from ${listPolicies().map(p => p.id).join(', ')})`);
+  const normalized = processes.map(normalizeProcess);
+  const procsIn = expandPeriodic(normalized, options.horizon || defaultHorizon(normalized));
+  if (procsIn.length === 0 && normalized.length > 0) throw new Error('No jobs are released before the horizon');
+  const contextSwitch = options.contextSwitch ?? 0;
+  if (!Number.isInteger(contextSwitch) || contextSwitch < 0) {
+    throw new Error(`Context switch cost "${options.contextSwitch}" must be a whole number of time units >= 0`);
   }
+  const maxPriority = procsIn.reduce((m,p)=> Math.max(m, p.priority), 0);
+  for (const p of procsIn) p.tickets ??= maxPriority - p.priority + 1;
+  const engineOpts = {
+    contextSwitch,
+    cores: options.cores ?? 1,
+    coreQueues: options.coreQueues ?? 'global',
+    balance: options.balance ?? 'none',
+    affinity: options.affinity ?? false
+  };
+  const makePolicy = emit => {
+    const policy = def.create(options, emit);
+    for (const name of ['onArrival', 'pickNext', 'readyPids']) {
+      if (typeof policy?.[name] !== 'function') throw new Error(`Policy ${algorithm} has no ${name}() hook`);
+    }
+    return policy;
+  };
+  return runPolicy(procsIn, makePolicy, engineOpts);
 }
 
 /* ---------- Common helpers ---------- */
 
-function makeProcessState(list) {
-  return list.map(p => ({
-    pid: p.pid,
-    arrival: p.arrival,
-    burst: p.burst,
-    remaining: p.remaining,
-    startTime: p.startTime,
-    completionTime: p.completionTime,
-    priority: p.priority
-  }));
-}
-
-function snapshotState(time, cpu, procs, ready) {
-  return {
-    time,
-    cpu,
-    ready: [...ready],
-    procs: makeProcessState(procs)
+function normalizeProcess(p) {
+  let bursts = Array.isArray(p.bursts) && p.bursts.length > 0
+    ? p.bursts.map(Number)
+    : [Number(p.burst)];
+  // a sequence always ends on a CPU burst; a trailing I/O burst is dropped
+  if (bursts.length % 2 === 0) bursts = bursts.slice(0, -1);
+  const out = {
+    pid: String(p.pid),
+    arrival: Number(p.arrival),
+    burst: bursts.reduce((s,b,i)=> i % 2 === 0 ? s + b : s, 0),
+    io: bursts.reduce((s,b,i)=> i % 2 === 1 ? s + b : s, 0),
+    bursts,
+    priority: p.priority !== undefined ? Number(p.priority) : 0,
+    tickets: p.tickets != null && p.tickets !== '' ? Number(p.tickets) : null
   };
+  if (p.period != null && p.period !== '') out.period = Number(p.period);
+  if (p.deadline != null && p.deadline !== '') out.deadline = Number(p.deadline);
+  // the engine steps in whole time units: a 0 or fractional burst would
+  // never run out
+  const whole = (v, min) => Number.isInteger(v) && v >= min;
+  if (!whole(out.arrival, 0)) throw new Error(`Process ${out.pid}: arrival "${p.arrival}" must be a whole number >= 0`);
+  const bad = bursts.find(b => !whole(b, 1));
+  if (bad !== undefined) throw new Error(`Process ${out.pid}: burst "${bad}" must be a whole number >= 1`);
+  if (out.period !== undefined && !whole(out.period, 1)) throw new Error(`Process ${out.pid}: period "${p.period}" must be a whole number >= 1`);
+  return out;
 }
 
 function computeStats(procs) {
   const total = procs.length;
-  const avgWaiting = procs.reduce((s,x)=>s + (x.turnaround - x.burst), 0) / total;
+  const avgWaiting = procs.reduce((s,x)=>s + x.waiting, 0) / total;
   const avgTurnaround = procs.reduce((s,x)=>s + x.turnaround, 0) / total;
   const makespan = Math.max(...procs.map(p=>p.completionTime)) - Math.min(...procs.map(p=>p.arrival));
   const lastTime = Math.max(...procs.map(p=>p.completionTime));
   const throughput = total / Math.max(1, lastTime);
-  return { avgWaiting, avgTurnaround, makespan, throughput, processes: deepCopy(procs) };
+  const avgResponse = procs.reduce((s,x)=>s + x.response, 0) / total;
+  const maxWaiting = Math.max(...procs.map(p=>p.waiting));
+  const stdWaiting = Math.sqrt(procs.reduce((s,x)=>s + (x.waiting - avgWaiting) ** 2, 0) / total);
+  const fairness = jainIndex(procs.map(p => p.burst / Math.max(1, p.turnaround - p.io)));
+  const stats = { avgWaiting, avgTurnaround, avgResponse, maxWaiting, stdWaiting, fairness, makespan, throughput, processes: deepCopy(procs) };
+  const timed = procs.filter(p => p.deadline != null);
+  if (timed.length > 0) stats.deadlines = { total: timed.length, missed: deadlineMisses(timed) };
+  return stats;
 }
 
-/* ---------- RR ---------- */
-
-function simulateRR(processes, quantum = 4) {
-  // time-unit simulation like before
-  const procs = processes.map(p => ({ ...p, remaining: p.burst, startTime: null, completionTime: null, enqueued:false }));
-  procs.sort((a,b)=> a.arrival - b.arrival);
-  let time = 0;
-  let readyQueue = [];
-  let history = [];
-  const trace = [];
-  const maxIter = 200000; let iter = 0;
-
-  function enqueueArrivals() {
-    for (const p of procs) {
-      if (!p.enqueued && p.arrival <= time && p.remaining > 0) {
-        readyQueue.push(p.pid);
-        p.enqueued = true;
-      }
-    }
-  }
+// jobs that finished after their (absolute) deadline; a late job still runs
+// to completion, so lateness says by how much it missed
+function deadlineMisses(procs) {
+  return procs.filter(p => p.completionTime > p.deadline).map(p => ({
+    pid: p.pid, task: p.task ?? p.pid, deadline: p.deadline,
+    completionTime: p.completionTime, lateness: p.completionTime - p.deadline
+  }));
+}
 
-  enqueueArrivals();
-
-  while ((procs.some(p=>p.remaining>0) || readyQueue.length>0) && iter < maxIter) {
-    iter++;
-    enqueueArrivals();
-
-    if (readyQueue.length === 0) {
-      // idle
-      const next = procs.find(p=>!p.enqueued && p.remaining>0);
-      if (!next) break;
-      const jumpTo = next.arrival;
-      while (time < jumpTo) {
-        history.push(snapshotState(time, null, procs, readyQueue));
-        trace.push({time, cpu:null, ready:[...readyQueue], event:'idle'});
-        time++;
-      }
-      enqueueArrivals();
-      continue;
-    }
+// Jain's fairness index (sum x)^2 / (n * sum x^2): 1 when every x is equal,
+// down to 1/n when one process gets everything. computeStats() feeds it the
+// share of CPU each process got while it was ready or running (burst over
+// turnaround minus I/O), so 1 means every process was slowed down alike.
+function jainIndex(xs) {
+  const sum = xs.reduce((s,x)=>s + x, 0);
+  const sumSq = xs.reduce((s,x)=>s + x * x, 0);
+  return sumSq === 0 ? 1 : (sum * sum) / (xs.length * sumSq);
+}
 
-    const pid = readyQueue.shift();
-    const p = procs.find(x=>x.pid===pid);
-    if (p.startTime === null) p.startTime = time;
-
-    const run = Math.min(quantum, p.remaining);
-    for (let t=0;t<run;t++) {
-      p.remaining -= 1;
-      history.push(snapshotState(time, pid, procs, readyQueue));
-      trace.push({time, cpu:pid, ready:[...readyQueue], event:`exec(${pid})`});
-      time++;
-      enqueueArrivals();
+// Entitled vs actual CPU share. At every moment the CPU time being handed
+// out (one unit per running process) is owed to the runnable processes
+// (arrived, not done, not in I/O) in proportion to their tickets; a process
+// is entitled to what it was owed over the whole run. Both shares are
+// fractions of the total CPU time, so each column sums to 1.
+// runs / ios: per process flat [start, end, ...] intervals.
+function computeShares(procs, runs, ios) {
+  const deltas = new Map(); // time -> [change in tickets runnable, change in running]
+  const add = (t, tickets, running) => {
+    const d = deltas.get(t) ?? [0, 0];
+    d[0] += tickets;
+    d[1] += running;
+    deltas.set(t, d);
+  };
+  const runnable = procs.map((p, i) => {
+    const bounds = [p.arrival, ...ios[i], p.completionTime];
+    for (let k=0;k<bounds.length;k+=2) {
+      add(bounds[k], p.tickets, 0);
+      add(bounds[k+1], -p.tickets, 0);
     }
-    if (p.remaining === 0) {
-      p.completionTime = time;
-    } else {
-      readyQueue.push(pid);
+    for (let k=0;k<runs[i].length;k+=2) {
+      add(runs[i][k], 0, 1);
+      add(runs[i][k+1], 0, -1);
     }
-  }
+    return bounds;
+  });
+
+  // owed(t): CPU time owed per ticket from 0 to t
+  const times = [...deltas.keys()].sort((a,b)=> a - b);
+  const owed = new Map();
+  let tickets = 0, running = 0, total = 0;
+  times.forEach((t, k) => {
+    if (k > 0 && tickets > 0) total += (t - times[k-1]) * running / tickets;
+    owed.set(t, total);
+    const [dt, dr] = deltas.get(t);
+    tickets += dt;
+    running += dr;
+  });
+
+  const cpuTime = procs.reduce((s,p)=> s + p.burst, 0);
+  return procs.map((p, i) => {
+    let entitled = 0;
+    const bounds = runnable[i];
+    for (let k=0;k<bounds.length;k+=2) entitled += (owed.get(bounds[k+1]) - owed.get(bounds[k])) * p.tickets;
+    return { pid: p.pid, tickets: p.tickets, entitled: entitled / cpuTime, actual: p.burst / cpuTime };
+  });
+}
 
-  // finalize metrics
-  for (const p of procs) {
-    if (p.completionTime === null) p.completionTime = time;
-    p.turnaround = p.completionTime - p.arrival;
-    p.waiting = p.turnaround - p.burst;
-    if (p.startTime === null) p.startTime = p.arrival; // edge
+/* ---------- Shared engine ----------
+   Every algorithm is a policy object (see the hooks in policies.js) driven
+   by runPolicy(), a discrete-event loop: time jumps straight to the next
+   arrival, I/O completion, end of a CPU burst, quantum expiry, end of a
+   context switch or policy timer (nextEvent), and hooks are only called at
+   those event times.
+
+   contextSwitch: whole time units spent loading a process onto a core whose
+   last process was a different one. The core runs nothing meanwhile and
+   the trace gets a switch(old->new) segment.
+
+   Multi-core (smp):
+     cores       number of CPUs (default 1)
+     coreQueues  'global': one shared policy feeds every core
+                 'per-core': one policy per core; arrivals go to the least
+                 loaded core
+     balance     'steal': an idle per-core CPU takes the next process from
+                 the busiest other core
+     affinity    prefer the core a process last ran on (global: when picking
+                 a free core; per-core: when it returns from I/O)
+
+   Output:
+     trace             exec(P), idle and switch(A->B) entries are segments
+                       covering [time, time + duration) on one core; every
+                       other entry is an instant event: the engine's
+                       arrive(P), wake(P), pick(P), preempt(A->B) (or
+                       preempt(A) when nothing replaces A), expire(P)
+                       (quantum used up), block(P), complete(P) and
+                       steal(P,Cx->Cy), plus the policy's own (demote...)
+     historySnapshots  a Timeline (see below): .length time units, .at(t)
+                       rebuilds the snapshot of time t on demand
+   Ready lists in trace entries and snapshots hold at most READY_LIMIT pids;
+   readyCount gives the full length (on trace entries only when cut short).
+   Engine events carry a `reason` sentence (policy events may too); picks
+   and preemptions ask the policy's why() hook for theirs. The stops of a policy with a sortKey hook
+   carry keys {name, values: {pid: key}}.
+*/
+export const READY_LIMIT = 100;
+
+function runPolicy(processes, makePolicy, { contextSwitch = 0, cores = 1, coreQueues = 'global', balance = 'none', affinity = false } = {}) {
+  cores = Math.max(1, Math.floor(cores) || 1);
+  const perCore = coreQueues === 'per-core' && cores > 1;
+  const procs = processes.map(p => ({
+    ...p, remaining: p.burst, burstLeft: p.bursts[0], phase: 0, state: 'new',
+    ioUntil: null, used: 0, lastCore: null, startTime: null, completionTime: null
+  }));
+  procs.sort((a,b)=> a.arrival - b.arrival);
+  const indexOf = new Map(procs.map((p, i) => [p, i]));
+  const byPid = new Map(procs.map(p => [p.pid, p]));
+  const runs = procs.map(() => []);          // per process: flat [start, end, ...] CPU intervals
+  const ios = procs.map(() => []);           // per process: flat [start, end, ...] I/O intervals
+  let time = 0, done = 0, migrations = 0, switches = 0, switchTime = 0;
+  let nextArrival = 0;                       // procs[nextArrival] is the next to arrive
+  const blocked = [];                        // processes in I/O, sorted by ioUntil
+  const running = Array(cores).fill(null);
+  const busy = Array(cores).fill(0);
+  const lastPid = Array(cores).fill(null);   // last process loaded on each core
+  const switchLeft = Array(cores).fill(0);   // context-switch units still to pay
+  const switchFrom = Array(cores).fill(null);
+  const picked = Array(cores).fill(false);   // core was given a process at this event time
+  const segment = Array(cores).fill(null);   // open trace segment of each core
+  const stops = [], trace = [];
+  // core the engine is acting for; policy events in global mode are tagged with it
+  let curCore = cores === 1 ? 0 : null;
+
+  const policies = perCore
+    ? Array.from({length: cores}, (_, c) => makePolicy((event, reason) => emit(event, c, reason)))
+    : [makePolicy((event, reason) => emit(event, curCore, reason))];
+  const policyOf = c => perCore ? policies[c] : policies[0];
+  const readyCount = pol => pol.readyCount ? pol.readyCount() : pol.readyPids().length;
+  const readyOf = pol => pol.readyPids(READY_LIMIT).slice(0, READY_LIMIT);
+  const allReady = () => [].concat(...policies.map(readyOf)).slice(0, READY_LIMIT);
+  const allReadyCount = () => policies.reduce((s, pol) => s + readyCount(pol), 0);
+  const hook = (pol, name) => pol[name] ?? (name === 'onArrival' ? null : hook(pol, name === 'onWake' ? 'onArrival' : 'onWake'));
+  const quantumOf = (pol, p) => pol.quantum ? pol.quantum(p) : Infinity;
+  // the policy's reason for choosing p, asked right after pickNext() while the
+  // rest of the ready list is still there; rival: the process p preempts
+  const whyPicked = (pol, p, rival) => pol.why?.(p, time, rival)
+    ?? (rival ? `${p.pid} preempts ${rival.pid}` : 'next in the ready queue');
+  const load = c => readyCount(policyOf(c)) + (running[c] ? 1 : 0);
+
+  // trace entry with the ready list of one policy (null: all of them)
+  function entry(core, cpu, event, pol) {
+    const e = { time, core, cpu, ready: pol ? readyOf(pol) : allReady(), event };
+    const count = pol ? readyCount(pol) : allReadyCount();
+    if (count > e.ready.length) e.readyCount = count;
+    return e;
   }
 
-  return { trace, historySnapshots: history, stats: computeStats(procs) };
-}
+  function emit(event, core, reason) {
+    const cpu = core == null ? null : (running[core] ? running[core].pid : null);
+    const e = entry(core, cpu, event, core == null ? null : policyOf(core));
+    if (reason) e.reason = reason;
+    trace.push(e);
+  }
 
-/* ---------- FCFS ---------- (non-preemptive) */
+  function leastLoaded() {
+    let best = 0;
+    for (let c=1;c<cores;c++) if (load(c) < load(best)) best = c;
+    return best;
+  }
 
-function simulateFCFS(processes) {
-  const procs = processes.map(p => ({ ...p, remaining: p.burst, startTime: null, completionTime: null, enqueued:false }));
-  procs.sort((a,b)=> a.arrival - b.arrival);
-  let time = 0, history = [], trace = [], readyQueue = [], iter=0, maxIter=200000;
+  // hand p to a ready queue; kind: onArrival | onWake | onPreempt | onQuantumExpire
+  function enqueue(kind, p) {
+    let c = curCore;
+    if (perCore) {
+      if (kind === 'onArrival') c = leastLoaded();
+      else if (kind === 'onWake') c = (affinity && p.lastCore !== null) ? p.lastCore : leastLoaded();
+      else c = p.lastCore;
+    }
+    const pol = policyOf(c);
+    hook(pol, kind).call(pol, p, time);
+    return c;
+  }
 
-  function enqueueArrivals() {
-    for (const p of procs) {
-      if (!p.enqueued && p.arrival <= time && p.remaining > 0) {
-        readyQueue.push(p.pid);
-        p.enqueued = true;
-      }
+  function block(p) {
+    let lo = 0, hi = blocked.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (blocked[mid].ioUntil <= p.ioUntil) lo = mid + 1;
+      else hi = mid;
     }
+    blocked.splice(lo, 0, p);
+    ios[indexOf.get(p)].push(time, p.ioUntil);
   }
 
-  enqueueArrivals();
-
-  while ((procs.some(p=>p.remaining>0) || readyQueue.length>0) && iter<maxIter) {
-    iter++;
-    enqueueArrivals();
-    if (readyQueue.length === 0) {
-      const next = procs.find(p=>!p.enqueued && p.remaining>0);
-      if (!next) break;
-      // idle until next arrival
-      const jumpTo = next.arrival;
-      while (time < jumpTo) {
-        history.push(snapshotState(time, null, procs, readyQueue));
-        trace.push({time, cpu:null, ready:[...readyQueue], event:'idle'});
-        time++;
+  // new arrivals and finished I/O bursts join the ready queue, in arrival order
+  function admit() {
+    const due = [];
+    while (nextArrival < procs.length && procs[nextArrival].arrival <= time) due.push(procs[nextArrival++]);
+    let woken = 0;
+    while (woken < blocked.length && blocked[woken].ioUntil <= time) woken++;
+    due.push(...blocked.splice(0, woken));
+    if (woken > 0) due.sort((a,b)=> indexOf.get(a) - indexOf.get(b));
+    for (const p of due) {
+      if (p.state === 'new') {
+        p.state = 'ready';
+        const c = enqueue('onArrival', p);
+        emit(`arrive(${p.pid})`, perCore ? c : curCore, p.task ? `job of ${p.task} released, due at ${p.deadline}` : `${p.pid} arrived`);
+      } else {
+        p.phase += 2; // skip over the I/O burst to the next CPU burst
+        p.burstLeft = p.bursts[p.phase];
+        p.state = 'ready';
+        const c = enqueue('onWake', p);
+        emit(`wake(${p.pid})`, perCore ? c : curCore, `${p.pid} finished its I/O burst`);
       }
-      enqueueArrivals();
-      continue;
     }
+  }
 
-    const pid = readyQueue.shift();
-    const p = procs.find(x=>x.pid===pid);
-    if (p.startTime === null) p.startTime = time;
-
-    // run to completion
-    while (p.remaining > 0) {
-      p.remaining -= 1;
-      history.push(snapshotState(time, pid, procs, readyQueue));
-      trace.push({time, cpu:pid, ready:[...readyQueue], event:`exec(${pid})`});
-      time++;
-      enqueueArrivals();
+  function start(p, c) {
+    p.state = 'running';
+    p.used = 0;
+    if (p.lastCore !== null && p.lastCore !== c) migrations++;
+    p.lastCore = c;
+    running[c] = p;
+    picked[c] = true;
+    if (lastPid[c] !== null && lastPid[c] !== p.pid) {
+      switches++;
+      switchLeft[c] = contextSwitch;
+      switchFrom[c] = lastPid[c];
     }
-    p.completionTime = time;
+    lastPid[c] = p.pid;
   }
 
-  for (const p of procs) {
-    if (p.completionTime === null) p.completionTime = time;
-    p.turnaround = p.completionTime - p.arrival;
-    p.waiting = p.turnaround - p.burst;
-    if (p.startTime === null) p.startTime = p.arrival;
+  // idle per-core CPU: steal the next process of the busiest other core
+  function steal(c) {
+    let victim = -1;
+    for (let v=0;v<cores;v++) {
+      if (v === c) continue;
+      const n = readyCount(policies[v]);
+      if (n > 0 && (victim === -1 || n > readyCount(policies[victim]))) victim = v;
+    }
+    if (victim === -1) return null;
+    const n = readyCount(policies[victim]);
+    const p = policies[victim].pickNext(time);
+    if (p) emit(`steal(${p.pid},C${victim}->C${c})`, c, `C${c} has nothing ready; C${victim} has the longest queue (${n})`);
+    return p;
   }
 
-  return { trace, historySnapshots: history, stats: computeStats(procs) };
-}
-
-/* ---------- SJF (non-preemptive) ---------- */
-
-function simulateSJF(processes) {
-  const procs = processes.map(p => ({ ...p, remaining: p.burst, startTime: null, completionTime: null, enqueued:false }));
-  let time = 0, history = [], trace = [], readyList = [], iter=0, maxIter=200000;
-
-  function enqueueArrivals() {
-    for (const p of procs) {
-      if (!p.enqueued && p.arrival <= time && p.remaining > 0) {
-        readyList.push(p);
-        p.enqueued = true;
+  function fillIdleCores() {
+    const free = running.map((p, c) => p ? -1 : c).filter(c => c !== -1);
+    if (perCore) {
+      for (const c of free) {
+        curCore = c;
+        const p = policies[c].pickNext(time);
+        if (p) {
+          const reason = whyPicked(policies[c], p);
+          start(p, c);
+          emit(`pick(${p.pid})`, c, reason);
+        } else if (balance === 'steal') {
+          const stolen = steal(c);
+          if (stolen) start(stolen, c);
+        }
+      }
+      return;
+    }
+    const chosen = [];
+    const reasons = new Map();
+    for (let i=0;i<free.length;i++) {
+      const p = policies[0].pickNext(time);
+      if (!p) break;
+      chosen.push(p);
+      reasons.set(p, whyPicked(policies[0], p));
+    }
+    // soft affinity: processes go back to their last core when it is free
+    const open = new Set(free);
+    const rest = [];
+    const dispatch = (p, c) => {
+      start(p, c);
+      emit(`pick(${p.pid})`, c, reasons.get(p));
+    };
+    for (const p of chosen) {
+      if (affinity && open.has(p.lastCore)) {
+        open.delete(p.lastCore);
+        dispatch(p, p.lastCore);
+      } else {
+        rest.push(p);
       }
     }
+    const order = free.filter(c => open.has(c));
+    rest.forEach((p, i) => dispatch(p, order[i]));
   }
 
-  enqueueArrivals();
-  while ((procs.some(p=>p.remaining>0) || readyList.length>0) && iter<maxIter) {
-    iter++;
-    enqueueArrivals();
-
-    if (readyList.length === 0) {
-      const next = procs.find(p=>!p.enqueued && p.remaining>0);
-      if (!next) break;
-      const jumpTo = next.arrival;
-      while (time < jumpTo) {
-        history.push(snapshotState(time, null, procs, []));
-        trace.push({time, cpu:null, ready:[], event:'idle'});
-        time++;
+  // switching[c]: process being loaded on core c, or null. Stores the stop
+  // the Timeline rebuilds snapshots from and opens the cores' trace segments.
+  function record(switching) {
+    const lanes = [];
+    policies.forEach((pol, c) => {
+      if (pol.queues) {
+        for (const q of pol.queues(READY_LIMIT)) {
+          lanes.push({ name: perCore ? `C${c} ${q.name}` : q.name, pids: q.pids.slice(0, READY_LIMIT), count: q.count ?? q.pids.length });
+        }
+      } else if (perCore) {
+        lanes.push({ name: `Core ${c}`, pids: readyOf(pol), count: readyCount(pol) });
       }
-      enqueueArrivals();
-      continue;
-    }
+    });
+    const cpu = running.map((p, c) => p && !switching[c] ? p.pid : null);
+    const stop = { time, cpu, ready: allReady(), readyCount: allReadyCount() };
+    if (lanes.length) stop.queues = lanes;
+    if (policies[0].sortKey) stop.keys = sortKeys();
+    if (contextSwitch > 0) stop.switching = switching.map(p => p ? p.pid : null);
+    stops.push(stop);
+
+    running.forEach((p, c) => {
+      const event = switching[c] ? `switch(${switchFrom[c]}->${p.pid})` : (p ? `exec(${p.pid})` : 'idle');
+      // a process that keeps its core without being picked again extends its segment
+      if (segment[c] && segment[c].event === event && !picked[c]) return;
+      segment[c] = entry(c, cpu[c], event, policyOf(c));
+      segment[c].duration = 0;
+      trace.push(segment[c]);
+    });
+    picked.fill(false);
+  }
 
-    // pick shortest job from readyList
-    readyList.sort((a,b)=> a.remaining - b.remaining || a.arrival - b.arrival);
-    const p = readyList.shift();
-    const pid = p.pid;
-    if (p.startTime === null) p.startTime = time;
-
-    while (p.remaining > 0) {
-      p.remaining -= 1;
-      history.push(snapshotState(time, pid, procs, readyList.map(r=>r.pid)));
-      trace.push({time, cpu:pid, ready: readyList.map(r=>r.pid), event:`exec(${pid})`});
-      time++;
-      enqueueArrivals();
-    }
-    p.completionTime = time;
+  // {name, values: {pid: key}} of the processes on a core or ready, and of
+  // those on a core at the previous stop, so Timeline.at can interpolate a
+  // key up to the moment its process left the CPU
+  function sortKeys() {
+    const values = {};
+    policies.forEach((pol, c) => {
+      const own = perCore ? [running[c]] : running;
+      for (const p of own) if (p) values[p.pid] = pol.sortKey(p);
+      for (const pid of readyOf(pol)) values[pid] = pol.sortKey(byPid.get(pid));
+    });
+    const prev = stops.length > 0 ? stops[stops.length - 1].cpu : [];
+    prev.forEach((pid, c) => {
+      if (pid !== null && !(pid in values)) values[pid] = policyOf(c).sortKey(byPid.get(pid));
+    });
+    return { name: policies[0].sortKeyName ?? 'key', values };
   }
 
-  for (const p of procs) {
-    if (p.completionTime === null) p.completionTime = time;
-    p.turnaround = p.completionTime - p.arrival;
-    p.waiting = p.turnaround - p.burst;
-    if (p.startTime === null) p.startTime = p.arrival;
+  // time of the next event, or Infinity when nothing is left to happen
+  function nextEventTime(switching, active) {
+    let next = nextArrival < procs.length ? procs[nextArrival].arrival : Infinity;
+    if (blocked.length > 0) next = Math.min(next, blocked[0].ioUntil);
+    running.forEach((p, c) => {
+      if (!p) return;
+      if (switching[c]) next = Math.min(next, time + switchLeft[c]);
+      else next = Math.min(next, time + Math.min(p.burstLeft, quantumOf(policyOf(c), p) - p.used));
+    });
+    if (active) {
+      for (const pol of policies) {
+        if (pol.nextEvent) next = Math.min(next, pol.nextEvent(time));
+        else if (pol.onTick) next = Math.min(next, time + 1);
+      }
+    }
+    return next;
   }
 
-  return { trace, historySnapshots: history, stats: computeStats(procs) };
-}
+  admit();
 
-/* ---------- Priority (non-preemptive) ----------
-   Lower numeric priority value => higher priority (0 highest)
-*/
-function simulatePriority(processes) {
-  const procs = processes.map(p => ({ ...p, remaining: p.burst, startTime: null, completionTime: null, enqueued:false }));
-  let time = 0, history = [], trace = [], readyList = [], iter=0, maxIter=200000;
-
-  function enqueueArrivals() {
-    for (const p of procs) {
-      if (!p.enqueued && p.arrival <= time && p.remaining > 0) {
-        readyList.push(p);
-        p.enqueued = true;
+  while (done < procs.length) {
+    const order = [...running.keys()];
+    if (!perCore && policies[0].compare) {
+      order.sort((a,b)=> !running[a] ? 1 : !running[b] ? -1 : policies[0].compare(running[b], running[a]));
+    }
+    for (const c of order) {
+      const prev = running[c];
+      const pol = policyOf(c);
+      // a process that is still being switched in is not preempted
+      if (!prev || switchLeft[c] > 0 || !pol.shouldPreempt || !pol.shouldPreempt(prev, time)) continue;
+      curCore = c;
+      prev.state = 'ready';
+      running[c] = null;
+      enqueue('onPreempt', prev);
+      const next = pol.pickNext(time);
+      // pickNext() may leave the core idle, as it may for any free core
+      if (!next) {
+        emit(`preempt(${prev.pid})`, c, `${prev.pid} taken off the CPU; the policy picked nothing to run instead`);
+        continue;
       }
+      const reasons = [whyPicked(pol, next, prev), whyPicked(pol, next)];
+      start(next, c);
+      emit(`preempt(${prev.pid}->${next.pid})`, c, reasons[0]);
+      emit(`pick(${next.pid})`, c, reasons[1]);
     }
-  }
+    fillIdleCores();
 
-  enqueueArrivals();
-  while ((procs.some(p=>p.remaining>0) || readyList.length>0) && iter<maxIter) {
-    iter++;
-    enqueueArrivals();
-
-    if (readyList.length === 0) {
-      const next = procs.find(p=>!p.enqueued && p.remaining>0);
-      if (!next) break;
-      const jumpTo = next.arrival;
-      while (time < jumpTo) {
-        history.push(snapshotState(time, null, procs, []));
-        trace.push({time, cpu:null, ready:[], event:'idle'});
-        time++;
+    const active = running.some(Boolean);
+    const switching = running.map((p, c) => p && switchLeft[c] > 0 ? p : null);
+    record(switching);
+
+    const next = nextEventTime(switching, active);
+    if (next === Infinity) {
+      throw new Error(`Simulation stalled at t=${time}: ${allReadyCount()} process(es) ready but none picked`);
+    }
+    const step = Math.max(1, Math.ceil(next - time));
+    running.forEach((p, c) => {
+      if (!p) return;
+      if (switching[c]) {
+        switchLeft[c] -= step;
+        switchTime += step;
+        return;
+      }
+      if (p.startTime === null) p.startTime = time;
+      p.remaining -= step;
+      p.burstLeft -= step;
+      p.used += step;
+      busy[c] += step;
+      const run = runs[indexOf.get(p)];
+      if (run.length > 0 && run[run.length - 1] === time) run[run.length - 1] = time + step;
+      else run.push(time, time + step);
+    });
+    for (const seg of segment) seg.duration += step;
+    time += step;
+    curCore = cores === 1 ? 0 : null;
+    admit();
+    // idle stretch: nothing was ready, an arrival or an I/O completion ended it
+    if (!active) continue;
+
+    for (let c=0;c<cores;c++) {
+      const p = running[c];
+      if (!p || switching[c]) continue;
+      curCore = c;
+      if (p.burstLeft === 0) {
+        if (p.remaining === 0) {
+          p.state = 'done';
+          p.completionTime = time;
+          done++;
+          emit(`complete(${p.pid})`, c, `${p.pid} finished its last CPU burst (turnaround ${time - p.arrival})`);
+        } else {
+          p.state = 'blocked';
+          p.ioUntil = time + p.bursts[p.phase + 1];
+          block(p);
+          const pol = policyOf(c);
+          if (pol.onBlock) pol.onBlock(p, time);
+          emit(`block(${p.pid})`, c, `${p.pid} starts ${p.bursts[p.phase + 1]} units of I/O, back at ${p.ioUntil}`);
+        }
+        running[c] = null;
+      } else if (p.used >= quantumOf(policyOf(c), p)) {
+        p.state = 'ready';
+        emit(`expire(${p.pid})`, c, `quantum ${quantumOf(policyOf(c), p)} expired, ${p.pid} re-queued`);
+        enqueue('onQuantumExpire', p);
+        running[c] = null;
       }
-      enqueueArrivals();
-      continue;
     }
 
-    // pick highest priority (lowest numeric), tie-break arrival then burst
-    readyList.sort((a,b)=> a.priority - b.priority || a.arrival - b.arrival || a.burst - b.burst);
-    const p = readyList.shift();
-    const pid = p.pid;
-    if (p.startTime === null) p.startTime = time;
-
-    while (p.remaining > 0) {
-      p.remaining -= 1;
-      history.push(snapshotState(time, pid, procs, readyList.map(r=>r.pid)));
-      trace.push({time, cpu:pid, ready: readyList.map(r=>r.pid), event:`exec(${pid})`});
-      time++;
-      enqueueArrivals();
+    curCore = cores === 1 ? 0 : null;
+    for (const pol of policies) {
+      if (pol.onTick) pol.onTick(time, running.filter(Boolean));
     }
-    p.completionTime = time;
   }
 
+  // finalize metrics
   for (const p of procs) {
-    if (p.completionTime === null) p.completionTime = time;
     p.turnaround = p.completionTime - p.arrival;
-    p.waiting = p.turnaround - p.burst;
-    if (p.startTime === null) p.startTime = p.arrival;
+    p.waiting = p.turnaround - p.burst - p.io;
+    if (p.startTime === null) p.startTime = p.arrival; // edge
+    p.response = p.startTime - p.arrival;
   }
 
-  return { trace, historySnapshots: history, stats: computeStats(procs) };
+  const stats = computeStats(procs);
+  const lastTime = Math.max(1, ...procs.map(p=>p.completionTime));
+  stats.coreUtilization = busy.map(b => b / lastTime);
+  stats.cpuUtilization = busy.reduce((s,b)=>s + b, 0) / (cores * lastTime);
+  // core time spent neither running a process nor switching, up to the last completion
+  stats.idleTime = cores * lastTime - busy.reduce((s,b)=>s + b, 0) - switchTime;
+  stats.migrations = migrations;
+  stats.contextSwitches = switches;
+  stats.switchTime = switchTime;
+  stats.shares = computeShares(procs, runs, ios);
+  return { trace, historySnapshots: new Timeline(stops, procs, runs, ios, time), stats };
 }
 
-/* ---------- Multilevel Queue (MLQ) ----------
-   - Foreground queue: processes with priority === 0 (or assigned by caller)
-     Served using Round Robin with fgQuantum.
-   - Background queue: remaining processes, served FCFS (or background quantum if provided).
-   - Processes do NOT migrate between queues in this simplified MLQ.
+/* ---------- Timeline ----------
+   Stands in for the old array of one snapshot per time unit: .length is the
+   number of time units and .at(t) rebuilds the snapshot of time t
+   { time, cpu, ready, readyCount, blocked, procs, queues?, switching?, keys? }
+   from the last event stop at or before t plus each process's CPU and I/O
+   intervals. Only the most recent snapshot is kept.
 */
-function simulateMLQ(processes, fgQuantum = 2, bgQuantum = null) {
-  // mark queue assignment by priority: 0 -> foreground; others -> background
-  const procs = processes.map(p => ({ ...p, remaining: p.burst, startTime: null, completionTime: null, enqueued:false }));
-  procs.sort((a,b)=> a.arrival - b.arrival);
-  let time = 0, history = [], trace = [];
-  let fgQueue = [], bgQueue = [];
-  const maxIter = 200000; let iter=0;
-
-  function enqueueArrivals() {
-    for (const p of procs) {
-      if (!p.enqueued && p.arrival <= time && p.remaining > 0) {
-        if (p.priority === 0) fgQueue.push(p.pid);
-        else bgQueue.push(p.pid);
-        p.enqueued = true;
-      }
-    }
+export class Timeline {
+  constructor(stops, procs, runs, ios, length) {
+    this.stops = stops;
+    this.procs = procs;
+    this.runs = runs;
+    this.ios = ios;
+    this.length = length;
+    this._last = null;
   }
 
-  enqueueArrivals();
-
-  while ((procs.some(p=>p.remaining>0) || fgQueue.length>0 || bgQueue.length>0) && iter<maxIter) {
-    iter++;
-    enqueueArrivals();
+  // rebuild a Timeline that lost its prototype, e.g. posted from a Worker
+  static from({ stops, procs, runs, ios, length }) {
+    return new Timeline(stops, procs, runs, ios, length);
+  }
 
-    if (fgQueue.length === 0 && bgQueue.length === 0) {
-      const next = procs.find(p=>!p.enqueued && p.remaining>0);
-      if (!next) break;
-      const jumpTo = next.arrival;
-      while (time < jumpTo) {
-        history.push(snapshotState(time, null, procs, []));
-        trace.push({time, cpu:null, ready:[], event:'idle'});
-        time++;
-      }
-      enqueueArrivals();
-      continue;
+  at(t) {
+    t = Math.floor(t < 0 ? t + this.length : t);
+    if (!(t >= 0 && t < this.length)) return undefined;
+    if (this._last && this._last.time === t) return this._last;
+
+    const stops = this.stops;
+    let lo = 0, hi = stops.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (stops[mid].time <= t) lo = mid;
+      else hi = mid - 1;
     }
+    const stop = stops[lo];
+    const onCore = new Set([...stop.cpu, ...(stop.switching ?? [])].filter(Boolean));
+    const blocked = [];
+    const procs = this.procs.map((p, i) => {
+      const run = this.runs[i];
+      // a snapshot shows the end of its time unit: unit t has already run
+      let executed = 0;
+      for (let k=0;k<run.length && run[k] <= t;k+=2) executed += Math.min(run[k+1], t + 1) - run[k];
+      let state = 'ready';
+      if (p.completionTime <= t) state = 'done';
+      else if (p.arrival > t) state = 'new';
+      else if (onCore.has(p.pid)) state = 'running';
+      else if (inInterval(this.ios[i], t)) state = 'blocked';
+      if (state === 'blocked') blocked.push(p.pid);
+      return {
+        pid: p.pid,
+        arrival: p.arrival,
+        burst: p.burst,
+        remaining: p.burst - executed,
+        startTime: p.startTime <= t ? p.startTime : null,
+        completionTime: p.completionTime <= t ? p.completionTime : null,
+        priority: p.priority,
+        state
+      };
+    });
+
+    const snap = { time: t, cpu: [...stop.cpu], ready: [...stop.ready], readyCount: stop.readyCount, blocked, procs };
+    if (stop.queues) snap.queues = stop.queues.map(q => ({ name: q.name, pids: [...q.pids], count: q.count }));
+    if (stop.keys) snap.keys = { name: stop.keys.name, values: this._keysAt(lo, t) };
+    if (stop.switching) snap.switching = [...stop.switching];
+    this._last = snap;
+    return snap;
+  }
 
-    if (fgQueue.length > 0) {
-      // Foreground RR
-      const pid = fgQueue.shift();
-      const p = procs.find(x=>x.pid===pid);
-      if (p.startTime === null) p.startTime = time;
-      const run = Math.min(fgQuantum, p.remaining);
-      for (let t=0;t<run;t++) {
-        p.remaining -= 1;
-        history.push(snapshotState(time, pid, procs, [...fgQueue, ...bgQueue]));
-        trace.push({time, cpu:pid, ready:[...fgQueue, ...bgQueue], event:`exec(${pid})`});
-        time++;
-        enqueueArrivals();
-      }
-      if (p.remaining === 0) p.completionTime = time;
-      else fgQueue.push(pid);
-    } else {
-      // Background FCFS (run to completion or optional bgQuantum if provided)
-      const pid = bgQueue.shift();
-      const p = procs.find(x=>x.pid===pid);
-      if (p.startTime === null) p.startTime = time;
-      if (bgQuantum == null) {
-        while (p.remaining > 0) {
-          p.remaining -= 1;
-          history.push(snapshotState(time, pid, procs, [...fgQueue, ...bgQueue]));
-          trace.push({time, cpu:pid, ready:[...fgQueue, ...bgQueue], event:`exec(${pid})`});
-          time++;
-          enqueueArrivals();
-        }
-        p.completionTime = time;
-      } else {
-        const run = Math.min(bgQuantum, p.remaining);
-        for (let t=0;t<run;t++) {
-          p.remaining -= 1;
-          history.push(snapshotState(time, pid, procs, [...fgQueue, ...bgQueue]));
-          trace.push({time, cpu:pid, ready:[...fgQueue, ...bgQueue], event:`exec(${pid})`});
-          time++;
-          enqueueArrivals();
-        }
-        if (p.remaining === 0) p.completionTime = time;
-        else bgQueue.push(pid);
+  // a running process's key grows linearly until the next stop: interpolate
+  // it to the end of unit t
+  _keysAt(i, t) {
+    const stop = this.stops[i], next = this.stops[i + 1];
+    const values = { ...stop.keys.values };
+    if (!next || !next.keys) return values;
+    const f = (t + 1 - stop.time) / (next.time - stop.time);
+    for (const pid of stop.cpu) {
+      if (pid !== null && pid in next.keys.values) {
+        values[pid] += (next.keys.values[pid] - values[pid]) * f;
       }
     }
+    return values;
   }
 
-  for (const p of procs) {
-    if (p.completionTime === null) p.completionTime = time;
-    p.turnaround = p.completionTime - p.arrival;
-    p.waiting = p.turnaround - p.burst;
-    if (p.startTime === null) p.startTime = p.arrival;
+  *[Symbol.iterator]() {
+    for (let t=0;t<this.length;t++) yield this.at(t);
   }
+}
 
-  return { trace, historySnapshots: history, stats: computeStats(procs) };
+// flat [start, end, ...] list of half-open intervals
+function inInterval(list, t) {
+  for (let k=0;k<list.length && list[k] <= t;k+=2) {
+    if (t < list[k+1]) return true;
+  }
+  return false;
 }
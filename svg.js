@@ -0,0 +1,124 @@
+// svg.js
+// SvgContext: a stand-in for a canvas 2D context that records what is drawn
+// and writes it out as SVG, so the Gantt chart and animation drawers export
+// vector images without a second implementation.
+//   const ctx = new SvgContext(1000, 160);
+//   draw(ctx.canvas);            // anything that calls canvas.getContext('2d')
+//   const text = ctx.toSVG({ background: '#08121a' });
+// Covers what the drawers use: rects, paths of moveTo / lineTo / rect, text,
+// save / restore and clip, fillStyle, strokeStyle, lineWidth, globalAlpha,
+// font, textAlign and textBaseline.
+// measureText estimates widths from the font size unless given a real
+// context to measure with (the browser passes one, so text fits as on screen).
+
+const escapeXML = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+const num = v => Number.isInteger(v) ? String(v) : v.toFixed(2).replace(/\.?0+$/, '');
+
+// "bold 14px sans-serif" -> { weight: 'bold', size: 14, family: 'sans-serif' }
+function parseFont(font) {
+  const m = /^(.*?)(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font.trim());
+  if (!m) return { weight: 'normal', size: 10, family: 'sans-serif' };
+  return { weight: /bold|[6-9]00/.test(m[1]) ? 'bold' : 'normal', size: Number(m[2]), family: m[3] };
+}
+
+const ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const BASELINES = { top: 'hanging', hanging: 'hanging', middle: 'middle', bottom: 'text-after-edge', ideographic: 'ideographic' };
+
+export class SvgContext {
+  constructor(width, height, measure = null) {
+    // what drawers reach through ctx.canvas / canvas.getContext('2d')
+    this.canvas = { width, height, getContext: () => this };
+    this.fillStyle = '#000';
+    this.strokeStyle = '#000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this._measure = measure;
+    this._elements = [];
+    this._clips = [];
+    this._clip = null;     // id of the clipPath applying to new elements
+    this._stack = [];
+    this._path = [];
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, globalAlpha, font, textAlign, textBaseline, _clip } = this;
+    this._stack.push({ fillStyle, strokeStyle, lineWidth, globalAlpha, font, textAlign, textBaseline, _clip });
+  }
+
+  restore() {
+    Object.assign(this, this._stack.pop() ?? {});
+  }
+
+  // a fresh context has nothing to clear
+  clearRect() {}
+
+  fillRect(x, y, w, h) {
+    this._add(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${escapeXML(this.fillStyle)}"/>`);
+  }
+
+  strokeRect(x, y, w, h) {
+    this._add(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="none"${this._stroke()}/>`);
+  }
+
+  beginPath() { this._path = []; }
+  moveTo(x, y) { this._path.push(`M${num(x)} ${num(y)}`); }
+  lineTo(x, y) { this._path.push(`L${num(x)} ${num(y)}`); }
+  closePath() { this._path.push('Z'); }
+  rect(x, y, w, h) { this._path.push(`M${num(x)} ${num(y)}h${num(w)}v${num(h)}h${num(-w)}Z`); }
+
+  fill() {
+    this._add(`<path d="${this._path.join('')}" fill="${escapeXML(this.fillStyle)}"/>`);
+  }
+
+  stroke() {
+    this._add(`<path d="${this._path.join('')}" fill="none"${this._stroke()}/>`);
+  }
+
+  clip() {
+    const id = `clip${this._clips.length}`;
+    const parent = this._clip ? ` clip-path="url(#${this._clip})"` : '';
+    this._clips.push(`<clipPath id="${id}"><path d="${this._path.join('')}"${parent}/></clipPath>`);
+    this._clip = id;
+  }
+
+  fillText(text, x, y) {
+    const { weight, size, family } = parseFont(this.font);
+    const anchor = ANCHORS[this.textAlign] ?? 'start';
+    const baseline = BASELINES[this.textBaseline];
+    this._add(`<text x="${num(x)}" y="${num(y)}" font-family="${escapeXML(family)}" font-size="${num(size)}"` +
+      `${weight === 'bold' ? ' font-weight="bold"' : ''}${anchor === 'start' ? '' : ` text-anchor="${anchor}"`}` +
+      `${baseline ? ` dominant-baseline="${baseline}"` : ''} fill="${escapeXML(this.fillStyle)}">${escapeXML(text)}</text>`);
+  }
+
+  measureText(text) {
+    if (this._measure) {
+      this._measure.font = this.font;
+      return this._measure.measureText(text);
+    }
+    // about 0.6 em per character, as in most monospace fonts
+    return { width: String(text).length * parseFont(this.font).size * 0.6 };
+  }
+
+  // background: a colour to fill the whole image with first (canvas
+  // backgrounds usually come from CSS, which an SVG file doesn't carry)
+  toSVG({ background = null } = {}) {
+    const { width, height } = this.canvas;
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`];
+    if (this._clips.length) parts.push(`<defs>${this._clips.join('')}</defs>`);
+    if (background) parts.push(`<rect width="100%" height="100%" fill="${escapeXML(background)}"/>`);
+    parts.push(...this._elements, '</svg>');
+    return parts.join('\n') + '\n';
+  }
+
+  _stroke() {
+    return ` stroke="${escapeXML(this.strokeStyle)}"${this.lineWidth === 1 ? '' : ` stroke-width="${num(this.lineWidth)}"`}`;
+  }
+
+  _add(element) {
+    const attrs = (this._clip ? ` clip-path="url(#${this._clip})"` : '') + (this.globalAlpha < 1 ? ` opacity="${num(this.globalAlpha)}"` : '');
+    this._elements.push(attrs ? element.replace(/^<(\w+)/, `<$1${attrs}`) : element);
+  }
+}
@@ -0,0 +1,96 @@
+// Animator transitions between snapshots, drawn into an SvgContext.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../scheduler.js';
+import { Animator } from '../animation.js';
+import { SvgContext } from '../svg.js';
+
+// P1 runs 0-2, is preempted by P2 (arrived at 1) for 2-4, then finishes
+const sim = simulate('RR', [
+  { pid: 'P1', arrival: 0, burst: 4 },
+  { pid: 'P2', arrival: 1, burst: 2 }
+], { quantum: 2 });
+
+// the SVG of snapshot `index`, `t` of the way over from `from`
+function frame(index, from, t) {
+  const animator = new Animator(new SvgContext(1000, 480).canvas);
+  animator.loadHistory(sim.historySnapshots);
+  animator.current = index;
+  animator.ctx = new SvgContext(1000, 480);   // a blank page for this frame
+  animator.drawTransition(from, t);
+  return animator.ctx.toSVG();
+}
+
+// [x, y, opacity] of every token labelled `pid` (process cards sit right of x=500)
+function tokens(svg, pid) {
+  return [...svg.matchAll(/<text (?:opacity="([\d.]+)" )?x="([\d.]+)" y="([\d.]+)"[^>]*>([^<]*)<\/text>/g)]
+    .filter(m => m[4] === pid && Number(m[2]) < 500)
+    .map(m => [Number(m[2]), Number(m[3]), Number(m[1] ?? 1)]);
+}
+
+test('a preempted process slides from the CPU to the ready queue', () => {
+  const [[cpuX, cpuY]] = tokens(frame(1, null, 1), 'P1');
+  const [[readyX, readyY]] = tokens(frame(2, null, 1), 'P1');
+  assert.ok(cpuX > 200 && readyX < 200);
+  const [[x, y]] = tokens(frame(2, 1, 0.5), 'P1');
+  assert.ok(x > readyX && x < cpuX);
+  assert.ok(y !== cpuY && y !== readyY);
+  // done: where the settled frame has it
+  assert.deepEqual(tokens(frame(2, 1, 1), 'P1'), tokens(frame(2, null, 1), 'P1'));
+});
+
+test('arrivals fade in and completions fade out with a ring', () => {
+  assert.deepEqual(tokens(frame(1, 0, 0.5), 'P2').map(t => t[2]), [0.5]);
+  const svg = frame(4, 3, 0.5);
+  assert.deepEqual(tokens(svg, 'P2').map(t => t[2]), [0.5]);
+  const ring = /<rect opacity="[\d.]+"[^>]*fill="none" stroke="#64B5F6" stroke-width="3"\/>/;
+  assert.match(svg, ring);
+  // stepping back over the completion brings P2 back without one
+  assert.doesNotMatch(frame(3, 4, 0.5), ring);
+});
+
+// a canvas that remembers its wheel handler
+function fakeCanvas() {
+  return { getContext: () => new SvgContext(0, 0), handlers: {}, addEventListener(type, fn) { this.handlers[type] = fn; } };
+}
+
+// the SVG of what draw() puts on a blank page
+function drawn(animator, draw) {
+  animator.ctx = new SvgContext(animator.w, animator.h);
+  draw();
+  return animator.ctx.toSVG();
+}
+
+// [x, y, width, height] of every rect and text drawn
+const boxes = svg => [...svg.matchAll(/<(?:rect|text)[^>]* x="(-?[\d.]+)" y="(-?[\d.]+)"(?: width="([\d.]+)" height="([\d.]+)")?/g)]
+  .map(m => m.slice(1).map(v => Number(v ?? 0)));
+
+test('hundreds of processes stay on the canvas and the process panel scrolls', () => {
+  const many = simulate('RR', Array.from({ length: 300 }, (_, i) => ({ pid: `P${i}`, arrival: i % 10, burst: 1 + i % 4 })), { quantum: 2 });
+  const canvas = fakeCanvas();
+  const animator = new Animator(canvas, 1000, 420, { pixelRatio: 1 });
+  animator.loadHistory(many.historySnapshots);
+  const frame = drawn(animator, () => animator.jumpTo(5));
+  for (const [x, y, w, h] of boxes(frame)) assert.ok(x >= 0 && y >= 0 && x + w <= 1000 && y + h <= 420, `${x},${y} ${w}x${h}`);
+  const cells = svg => [...svg.matchAll(/font-size="9"[^>]*>(P\d+)</g)].map(m => m[1]);
+  const shown = cells(frame);
+  assert.ok(shown.length > 50 && shown.length < 300);
+
+  let prevented = false;
+  const wheel = { offsetX: 700, offsetY: 200, deltaY: 100, preventDefault: () => { prevented = true; } };
+  const scrolled = cells(drawn(animator, () => canvas.handlers.wheel(wheel)));
+  assert.ok(prevented);
+  assert.notEqual(scrolled[0], shown[0]);
+  assert.equal(scrolled.length, shown.length);
+});
+
+test('resize lays the panels out for the new size', () => {
+  const canvas = fakeCanvas();
+  const animator = new Animator(canvas, 1000, 480, { pixelRatio: 1 });
+  animator.loadHistory(sim.historySnapshots);
+  const frame = drawn(animator, () => animator.resize(640, 360));
+  assert.deepEqual([canvas.width, canvas.height], [640, 360]);
+  for (const [x, y, w, h] of boxes(frame)) assert.ok(x >= 0 && y >= 0 && x + w <= 640 && y + h <= 360, `${x},${y} ${w}x${h}`);
+  assert.match(frame, /Rem: 3\/4</);
+});
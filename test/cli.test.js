@@ -0,0 +1,61 @@
+// cli.js run as a subprocess, the way a shell script would.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const sample = join(root, 'examples', 'sample.csv');
+
+// {status, stdout, stderr} of `node cli.js ...args`
+const cli = (...args) => spawnSync(process.execPath, [join(root, 'cli.js'), ...args], { cwd: root, encoding: 'utf8', timeout: 30000 });
+
+test('prints a results table per algorithm', () => {
+  const run = cli(sample, '-a', 'fcfs,rr', '--quantum', '2');
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^== FCFS ==$/m);
+  assert.match(run.stdout, /^== RR ==$/m);
+  assert.match(run.stdout, /^Avg waiting: {5}5\.75$/m);
+  assert.match(run.stdout, /^\s+P3\s+2\s+8\s+/m);
+});
+
+test('--json, --svg and --load', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+  try {
+    const svg = join(dir, 'gantt.svg');
+    const run = cli(sample, '-a', 'LCFS', '--load', 'examples/lcfs-policy.js', '--json', '--svg', svg);
+    assert.equal(run.status, 0, run.stderr);
+    const [result] = JSON.parse(run.stdout);
+    assert.equal(result.algorithm, 'LCFS');
+    assert.deepEqual(result.stats.processes.map(p => p.pid), ['P1', 'P2', 'P3', 'P4']);
+    assert.match(readFileSync(svg, 'utf8'), /^<svg /);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('bad input exits non-zero with a message on stderr', () => {
+  const unknown = cli(sample, '-a', 'NOPE');
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /^error: Unknown algorithm NOPE/);
+  assert.equal(unknown.stdout, '');
+
+  assert.equal(cli(sample, '--quantum', 'lots').status, 1);
+  assert.equal(cli(sample, '--bogus').status, 1);
+  assert.equal(cli().status, 1);   // no workload: usage
+
+  const dir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+  try {
+    const bad = join(dir, 'bad.csv');
+    writeFileSync(bad, 'pid,arrival,burst,priority\nP1,0,x,0\n');
+    const run = cli(bad);
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /^error: Row 2 \(P1\): Invalid burst "x"/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+// Editor policies from custom-policy.js, run in-process (the Worker wrapper
+// only moves the same calls off the page's thread).
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate, registerPolicy } from '../scheduler.js';
+import { compilePolicy, makeCustomPolicy, PolicyError, POLICY_TEMPLATE } from '../custom-policy.js';
+
+const procs = [
+  { pid: 'P1', arrival: 0, burst: 6 },
+  { pid: 'P2', arrival: 1, burst: 8 },
+  { pid: 'P3', arrival: 2, burst: 7 },
+  { pid: 'P4', arrival: 3, burst: 3 }
+];
+
+let runs = 0;
+function runCode(code, opts = {}, budget = {}) {
+  const id = `EDITOR_${++runs}`;
+  registerPolicy(id, { create: makeCustomPolicy(compilePolicy(code), budget) });
+  return simulate(id, procs, opts);
+}
+
+// the PolicyError the code raises, compiling or running
+function errorOf(code, budget) {
+  try {
+    runCode(code, {}, budget);
+  } catch (err) {
+    assert.ok(err instanceof PolicyError, err.stack);
+    return err;
+  }
+  assert.fail('expected a PolicyError');
+}
+
+// the pid on the CPU at every segment, ignoring how ready lists are ordered
+const schedule = sim => sim.trace.filter(t => t.duration).map(t => [t.time, t.cpu, t.duration]);
+// the events without their wording: editor picks explain themselves differently
+const events = sim => sim.trace.map(({ reason, ...t }) => t);
+
+test('the editor template behaves like SJF', () => {
+  const custom = runCode(POLICY_TEMPLATE);
+  const sjf = simulate('SJF', procs);
+  assert.deepEqual(schedule(custom), schedule(sjf));
+  assert.deepEqual(custom.stats, sjf.stats);
+  assert.equal(custom.historySnapshots.length, sjf.historySnapshots.length);
+});
+
+test('pickNext may return an entry, a pid or an index; quantum and shouldPreempt are optional', () => {
+  const rr = simulate('RR', procs, { quantum: 2 });
+  for (const pick of ['readyList[0]', 'readyList[0].pid', '0']) {
+    const sim = runCode(`function pickNext(readyList) { return ${pick}; }\nconst quantum = 2;`);
+    assert.deepEqual(events(sim), events(rr), pick);
+  }
+  const srtf = runCode(`${POLICY_TEMPLATE}
+function shouldPreempt(p, readyList) {
+  return readyList.some(r => r.remaining < p.remaining);
+}`);
+  assert.deepEqual(schedule(srtf), schedule(simulate('SRTF', procs)));
+});
+
+test('a preemption followed by a null pick leaves the core idle', () => {
+  const sim = runCode(`function pickNext(readyList, time) { return time === 2 ? null : readyList[0]; }
+function shouldPreempt(p, readyList, time) { return time === 2; }`);
+  assert.ok(sim.trace.some(t => t.time === 2 && t.event === 'preempt(P1)'));
+  assert.deepEqual(schedule(sim).slice(0, 3), [[0, 'P1', 2], [2, null, 1], [3, 'P2', 8]]);
+  assert.equal(sim.stats.processes.length, 4);
+});
+
+test('the process views are read-only copies', () => {
+  const err = errorOf('function pickNext(readyList) {\n  readyList[0].remaining = 0;\n  return 0;\n}');
+  assert.equal(err.line, 2);
+  assert.match(err.message, /^Line 2: TypeError: /);
+});
+
+test('syntax errors point at their line', () => {
+  assert.equal(errorOf('function pickNext(r) {\n  let x = ;\n  return 0;\n}').line, 2);
+  assert.equal(errorOf('function pickNext(r) {\n  return 0;\n}\n}').line, 4);
+  // a missing brace is reported at the last line
+  assert.equal(errorOf('function pickNext(r) {\n  if (r.length) {\n    return 0;\n}\n\n').line, 4);
+});
+
+test('runtime errors and bad return values', () => {
+  const thrown = errorOf('function pickNext(r) {\n  return 0;\n}\nfunction quantum(p) {\n  return p.missing.x;\n}');
+  assert.equal(thrown.line, 5);
+  assert.match(thrown.reason, /^TypeError: Cannot read properties of undefined/);
+
+  assert.match(errorOf('function pickNext(r) { return "P9"; }').message, /pickNext returned "P9", which is not in readyList/);
+  assert.match(errorOf('function pickNext(r) { return 0; }\nconst quantum = 0;').message, /quantum must be a number >= 1/);
+  assert.match(errorOf('function pick(r) { return 0; }').message, /Define a function pickNext/);
+});
+
+test('the step budget caps the calls into the code', () => {
+  // four processes need at least four picks
+  const err = errorOf('function pickNext(r) { return 0; }', { stepBudget: 3 });
+  assert.equal(err.line, null);
+  assert.match(err.message, /^Step budget exceeded: more than 3 calls into pickNext\(\)/);
+  assert.doesNotThrow(() => runCode('function pickNext(r) { return 0; }', {}, { stepBudget: 4 }));
+});
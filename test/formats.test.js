@@ -0,0 +1,162 @@
+// Workload import, trace export and scenario-link round-trips for formats.js.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../scheduler.js';
+import {
+  parseWorkload, parseWorkloadCSV, parseWorkloadJSON, buildTraceExport, buildResultsCSV,
+  formatMLFQLevels, parseMLFQLevels, encodeScenario, decodeScenario, WorkloadError, buildReport
+} from '../formats.js';
+
+test('CSV: header optional, quoted burst sequences', () => {
+  const withHeader = parseWorkloadCSV('pid,arrival,burst,priority\nP1,0,5,2\nP2,1,"4,3,2",1\n');
+  const bare = parseWorkloadCSV('P1,0,5,2\r\nP2,1,4 3 2,1\r\n');
+  assert.deepEqual(withHeader, bare);
+  assert.deepEqual(withHeader[1], { pid: 'P2', arrival: 1, burst: 6, bursts: [4, 3, 2], priority: 1 });
+});
+
+test('CSV: every bad row is reported with its line number', () => {
+  const csv = [
+    'pid,arrival,burst,priority',
+    'P1,0,5,1',
+    'P1,2,3,1',
+    'P2,-1,3,1',
+    'P3,0,abc,1',
+    ',0,2,1'
+  ].join('\n');
+  assert.throws(() => parseWorkloadCSV(csv), err => {
+    assert.ok(err instanceof WorkloadError);
+    assert.deepEqual(err.errors.map(e => e.row), [3, 4, 5, 6]);
+    assert.match(err.errors[0].message, /duplicate PID P1 \(first used on row 2\)/);
+    assert.match(err.errors[1].message, /negative arrival/);
+    assert.match(err.message, /^Row 3 \(P1\): /);
+    return true;
+  });
+});
+
+test('tickets: optional fifth CSV column, kept in scenario links', () => {
+  const procs = parseWorkloadCSV('P1,0,5,0,50\nP2,1,3,1\n');
+  assert.deepEqual(procs, [
+    { pid: 'P1', arrival: 0, burst: 5, priority: 0, tickets: 50 },
+    { pid: 'P2', arrival: 1, burst: 3, priority: 1 }
+  ]);
+  const hash = encodeScenario({ algorithm: 'LOTTERY', opts: { quantum: 2, seed: 9 }, procs });
+  assert.equal(hash, 'algorithm=LOTTERY&quantum=2&seed=9&procs=P1,0,5,0,50;P2,1,3,1');
+  assert.deepEqual(decodeScenario(hash), { algorithm: 'LOTTERY', opts: { quantum: 2, seed: 9 }, procs, time: null });
+  assert.throws(() => parseWorkloadCSV('pid,arrival,burst,priority,tickets\nP1,0,5,0,0.5\n'), /tickets "0.5" must be a whole number >= 1/);
+});
+
+test('period and deadline: optional CSV columns, kept in scenario links', () => {
+  const procs = parseWorkloadCSV('pid,arrival,burst,period,deadline\nT1,0,2,5,\nT2,1,4,7,6\nP1,0,3,,\n');
+  assert.deepEqual(procs, [
+    { pid: 'T1', arrival: 0, burst: 2, priority: 0, period: 5 },
+    { pid: 'T2', arrival: 1, burst: 4, priority: 0, period: 7, deadline: 6 },
+    { pid: 'P1', arrival: 0, burst: 3, priority: 0 }
+  ]);
+  const hash = encodeScenario({ algorithm: 'EDF', opts: { horizon: 20 }, procs });
+  assert.equal(hash, 'algorithm=EDF&horizon=20&procs=T1,0,2,0,,5;T2,1,4,0,,7,6;P1,0,3,0');
+  assert.deepEqual(decodeScenario(hash), { algorithm: 'EDF', opts: { horizon: 20 }, procs, time: null });
+  assert.throws(() => parseWorkloadCSV('pid,arrival,burst,period\nT1,0,2,0\n'), /period "0" must be a whole number >= 1/);
+});
+
+test('JSON: plain arrays and {processes} are accepted', () => {
+  const list = [{ pid: 'A', arrival: 0, burst: 3 }, { pid: 'B', arrival: 2, burst: 1, priority: 4 }];
+  assert.deepEqual(parseWorkloadJSON(JSON.stringify(list)), parseWorkloadJSON(JSON.stringify({ processes: list })));
+  assert.throws(() => parseWorkloadJSON('{"oops": 1}'), WorkloadError);
+  assert.throws(() => parseWorkloadJSON('[{"pid": "A", "burst": 0}]'), WorkloadError);
+});
+
+test('exported trace re-imports to the same run', () => {
+  const procs = parseWorkload('P1,0,5,2\nP2,1,3,1\nP3,2,"2,2,2",0\n', 'w.csv').procs;
+  const opts = { mlfqLevels: parseMLFQLevels('RR:2, RR:4, FCFS'), mlfqAging: 6, contextSwitch: 1 };
+  const sim = simulate('MLFQ', procs, opts);
+  const file = JSON.stringify(buildTraceExport('MLFQ', opts, procs, sim));
+
+  const back = parseWorkload(file, 'trace.json');
+  assert.equal(back.algorithm, 'MLFQ');
+  assert.deepEqual(back.procs, procs);
+  assert.deepEqual(back.opts, opts);
+  assert.equal(formatMLFQLevels(back.opts.mlfqLevels), 'RR:2, RR:4, FCFS');
+  const again = simulate(back.algorithm, back.procs, back.opts);
+  assert.deepEqual(again.trace, sim.trace);
+  assert.deepEqual(again.stats, sim.stats);
+});
+
+test('trace with an unknown algorithm is rejected', () => {
+  const file = JSON.stringify({ config: { algorithm: 'NOPE', opts: {}, procs: [{ pid: 'A', burst: 1 }] } });
+  assert.throws(() => parseWorkload(file, 'trace.json'), /unknown algorithm "NOPE"/);
+});
+
+test('scenario links round-trip the process table, options and time', () => {
+  const scenario = {
+    algorithm: 'MLFQ',
+    opts: { mlfqLevels: parseMLFQLevels('RR:2, RR:4, FCFS'), mlfqBoost: 20, cores: 2, coreQueues: 'per-core', balance: 'steal', affinity: true },
+    procs: [
+      { pid: 'P1', arrival: 0, burst: 5, priority: 0 },
+      { pid: 'odd, pid&+', arrival: 1, burst: 6, bursts: [4, 3, 2], priority: 1 }
+    ],
+    time: 7
+  };
+  const hash = encodeScenario(scenario);
+  assert.match(hash, /^algorithm=MLFQ&mlfqLevels=RR:2,RR:4,FCFS&/);
+  assert.match(hash, /procs=P1,0,5,0;odd%2C\+pid%26%2B,1,4\+3\+2,1&t=7$/);
+  assert.deepEqual(decodeScenario(`#${hash}`), scenario);
+});
+
+test('scenario links: missing state, bad options and bad rows', () => {
+  assert.equal(decodeScenario(''), null);
+  assert.equal(decodeScenario('#section-2'), null);
+  assert.deepEqual(decodeScenario('#procs=A,0,3,0').opts, {});
+  assert.throws(() => decodeScenario('#algorithm=XYZ&procs=A,0,3,0'), /Unknown algorithm/);
+  assert.throws(() => decodeScenario('#quantum=abc&procs=A,0,3,0'), /quantum "abc"/);
+  assert.throws(() => decodeScenario('#procs=A,0,3,0;A,1,x,0'), WorkloadError);
+});
+
+test('scenario links: a PID carrying markup round-trips as plain text', () => {
+  const pid = `"><img src=x onerror=alert(document.cookie)> O'Brien & co`;
+  const procs = [{ pid, arrival: 0, burst: 3, priority: 0 }, { pid: 'P2', arrival: 1, burst: 2, priority: 0 }];
+  assert.deepEqual(decodeScenario(`#${encodeScenario({ algorithm: 'FCFS', opts: {}, procs })}`).procs, procs);
+});
+
+test('imports take any text as a PID but control characters and overlong ones', () => {
+  const pid = `<img src=x onerror=alert(1)> O'Brien & co`;
+  assert.deepEqual(parseWorkloadJSON(JSON.stringify([{ pid, arrival: 0, burst: 3, priority: 0 }])).procs.map(p => p.pid), [pid]);
+  assert.deepEqual(parseWorkloadCSV(`pid,arrival,burst,priority\n${pid},0,3,0\n`).map(p => p.pid), [pid]);
+  const refused = pattern => err => err instanceof WorkloadError && pattern.test(err.message);
+  assert.throws(() => parseWorkloadJSON(JSON.stringify([{ pid: 'a\u0007b', arrival: 0, burst: 3 }])), refused(/control character/));
+  assert.throws(() => parseWorkloadJSON(JSON.stringify([{ pid: 'x'.repeat(65), arrival: 0, burst: 3 }])), refused(/longer than 64 characters/));
+  assert.throws(() => decodeScenario(`#procs=${encodeURIComponent('a\nb')},0,3,0`), refused(/control character/));
+});
+
+test('results CSV has one row per process and re-imports as a workload', () => {
+  const procs = [{ pid: 'P1', arrival: 0, burst: 3 }, { pid: 'say "hi", P2', arrival: 1, burst: 2 }];
+  const csv = buildResultsCSV(simulate('FCFS', procs).stats.processes);
+  assert.equal(csv, [
+    'pid,arrival,burst,startTime,completionTime,turnaround,waiting,response',
+    'P1,0,3,0,3,3,0,0',
+    '"say ""hi"", P2",1,2,3,5,4,2,2',
+    ''
+  ].join('\n'));
+  assert.deepEqual(parseWorkloadCSV(csv).map(p => p.pid), ['P1', 'say "hi", P2']);
+});
+
+test('report: configuration, processes, results and the chart on one page', () => {
+  const procs = [
+    { pid: 'P1', arrival: 0, burst: 4, priority: 1 },
+    { pid: 'P2', arrival: 1, burst: 6, bursts: [3, 2, 3], priority: 0, tickets: 5 }
+  ];
+  const opts = { quantum: 2, mlfqLevels: parseMLFQLevels('RR:2, FCFS'), affinity: false };
+  const html = buildReport({ algorithm: 'RR', opts, procs, sim: simulate('RR', procs, opts), gantt: '<svg></svg>', date: new Date('2024-03-01') });
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<h1>CPU Scheduling Report — Round Robin \(RR\)<\/h1>/);
+  assert.match(html, /2024-03-01 · 2 processes/);
+  assert.match(html, /<td>Time quantum<\/td><td>2<\/td>/);
+  assert.match(html, /<td>MLFQ levels<\/td><td>RR:2, FCFS<\/td>/);
+  assert.doesNotMatch(html, /Affinity/);
+  // a tickets column because P2 has tickets; the I/O sequence in the burst cell
+  assert.match(html, /<th>Tickets<\/th>/);
+  assert.match(html, /<tr><td>P2<\/td><td>1<\/td><td>3, 2, 3<\/td><td>0<\/td><td>5<\/td><\/tr>/);
+  assert.match(html, /<h2>Gantt Chart<\/h2>\n<div class="gantt">\n<svg><\/svg>/);
+  assert.match(html, /<th>Completion<\/th>/);
+  assert.doesNotMatch(buildReport({ algorithm: 'RR', procs, sim: simulate('RR', procs) }), /Gantt Chart/);
+});
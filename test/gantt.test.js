@@ -0,0 +1,66 @@
+// The segments gantt.js draws and describes in its tooltips.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../scheduler.js';
+import { ganttSegments, ganttSVG, ganttColors, colorPalette } from '../gantt.js';
+
+test('back-to-back segments of one process merge; idle gaps and switches stay', () => {
+  const sim = simulate('RR', [
+    { pid: 'P1', arrival: 1, burst: 7 },
+    { pid: 'P2', arrival: 10, burst: 2 }
+  ], { quantum: 2, contextSwitch: 1 });
+  // P1 alone runs four quanta in a row
+  assert.deepEqual(ganttSegments(sim.trace).map(s => [s.kind, s.pid, s.start, s.end]), [
+    ['idle', null, 0, 1],
+    ['exec', 'P1', 1, 8],
+    ['idle', null, 8, 10],
+    ['switch', 'P2', 10, 11],
+    ['exec', 'P2', 11, 13]
+  ]);
+});
+
+test('remaining time counts down across a process\'s segments', () => {
+  const sim = simulate('RR', [
+    { pid: 'P1', arrival: 0, burst: 5 },
+    { pid: 'P2', arrival: 0, burst: 3 }
+  ], { quantum: 2 });
+  const p1 = ganttSegments(sim.trace).filter(s => s.pid === 'P1');
+  assert.deepEqual(p1.map(s => [s.start, s.end, s.remainingBefore, s.remainingAfter]), [
+    [0, 2, 5, 3],
+    [4, 6, 3, 1],
+    [7, 8, 1, 0]
+  ]);
+});
+
+test('ganttSVG draws the same chart as SVG', () => {
+  const sim = simulate('FCFS', [
+    { pid: 'P<1>', arrival: 0, burst: 3 },
+    { pid: 'P2', arrival: 5, burst: 2 }
+  ]);
+  const svg = ganttSVG(sim.trace);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="1000" height="160"/);
+  // one filled bar per process, labels escaped
+  assert.equal((svg.match(/fill="#E57373"/g) ?? []).length, 2);   // bar and legend swatch
+  assert.match(svg, />P&lt;1&gt;<\/text>/);
+  assert.match(svg, />idle<\/text>/);
+  assert.ok(svg.trimEnd().endsWith('</svg>'));
+});
+
+test('a trace of hundreds of thousands of entries still draws', () => {
+  // a few segments among 300,000 instant events, as a 10k-process run leaves
+  const trace = Array.from({ length: 300000 }, (_, i) => ({ time: i % 50, event: `arrive(P${i})`, cpu: null }));
+  trace.push({ time: 0, event: 'exec(P1)', cpu: 'P1', core: 1, duration: 50 });
+  const svg = ganttSVG(trace, { until: 50 });
+  assert.match(svg, />C1<\/text>/);   // both cores' lanes
+});
+
+test('ganttColors colours processes in the order they first run', () => {
+  const sim = simulate('SJF', [
+    { pid: 'P1', arrival: 0, burst: 5 },
+    { pid: 'P2', arrival: 0, burst: 1 }
+  ]);
+  const colorOf = ganttColors(sim.trace);
+  assert.deepEqual([colorOf('P2'), colorOf('P1')], colorPalette.slice(0, 2));
+  assert.equal(ganttColors(sim.trace, { colorKey: () => 'task' })('P1'), colorPalette[0]);
+});
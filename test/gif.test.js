@@ -0,0 +1,90 @@
+// The animated GIF encoder behind playback recordings, checked by decoding
+// its output.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GifEncoder, buildPalette } from '../gif.js';
+
+// a plain GIF decoder: global palette, full-screen frames
+function decodeGIF(bytes) {
+  let at = 13;
+  const word = () => bytes[at++] | (bytes[at++] << 8);
+  const subBlocks = () => {
+    const out = [];
+    for (let n = bytes[at++]; n; n = bytes[at++]) { out.push(...bytes.subarray(at, at + n)); at += n; }
+    return out;
+  };
+  const palette = [];
+  for (let i = 0; i < 2 << (bytes[10] & 7); i++, at += 3) palette.push([...bytes.subarray(at, at + 3)]);
+  const gif = { header: String.fromCharCode(...bytes.subarray(0, 6)), width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8), loops: false, frames: [] };
+  let delay = 0;
+  for (let block = bytes[at++]; block !== 0x3b; block = bytes[at++]) {
+    if (block === 0x21) {
+      const label = bytes[at++];
+      const data = subBlocks();
+      if (label === 0xf9) delay = data[1] | (data[2] << 8);
+      if (label === 0xff) gif.loops = String.fromCharCode(...data.slice(0, 11)) === 'NETSCAPE2.0';
+      continue;
+    }
+    assert.equal(block, 0x2c, `image descriptor at byte ${at - 1}`);
+    at += 8;
+    assert.equal(bytes[at++], 0, 'no local palette');
+    const min = bytes[at++];
+    const data = subBlocks();
+    const clear = 1 << min, end = clear + 1;
+    let dict, width, prev, pos = 0;
+    const reset = () => { dict = Array.from({ length: clear + 2 }, (_, i) => [i]); width = min + 1; prev = null; };
+    const read = () => {
+      let code = 0;
+      for (let i = 0; i < width; i++, pos++) code |= ((data[pos >> 3] >> (pos & 7)) & 1) << i;
+      return code;
+    };
+    const pixels = [];
+    reset();
+    for (let code = read(); code !== end; code = read()) {
+      if (code === clear) { reset(); continue; }
+      const entry = code < dict.length ? dict[code] : [...prev, prev[0]];
+      pixels.push(...entry);
+      if (prev && dict.length < 4096) dict.push([...prev, entry[0]]);
+      prev = entry;
+      if (dict.length === 1 << width && width < 12) width++;
+    }
+    gif.frames.push({ delay, rgb: pixels.map(p => palette[p]) });
+  }
+  return gif;
+}
+
+// width * height RGBA pixels from colour(i) -> [r, g, b]
+function frame(width, height, colour) {
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) rgba.set([...colour(i), 255], i * 4);
+  return rgba;
+}
+const rgbOf = rgba => Array.from({ length: rgba.length / 4 }, (_, i) => [...rgba.subarray(i * 4, i * 4 + 3)]);
+
+test('frames decode to the pixels that went in', () => {
+  // noise over 200 colours fills the LZW table, so the encoder has to reset it
+  let seed = 7;
+  const noise = frame(120, 90, () => { seed = (seed * 1103515245 + 12345) % 2 ** 31; const c = seed % 200; return [c, c * 37 % 256, c * 91 % 256]; });
+  const stripes = frame(120, 90, i => i % 120 < 60 ? [8, 18, 26] : [229, 115, 115]);
+  const gif = new GifEncoder(120, 90, buildPalette([noise, stripes]));
+  gif.addFrame(noise, 200);
+  gif.addFrame(stripes, 400);
+  const decoded = decodeGIF(gif.finish());
+  assert.equal(decoded.header, 'GIF89a');
+  assert.deepEqual([decoded.width, decoded.height, decoded.loops], [120, 90, true]);
+  assert.deepEqual(decoded.frames.map(f => f.delay), [20, 40]);
+  assert.deepEqual(decoded.frames[0].rgb, rgbOf(noise));
+  assert.deepEqual(decoded.frames[1].rgb, rgbOf(stripes));
+});
+
+test('a repeated frame lengthens the previous one; colours outside the palette map to the nearest', () => {
+  const red = frame(4, 4, () => [250, 10, 10]);
+  const gif = new GifEncoder(4, 4, [[0, 0, 0], [255, 0, 0]]);
+  for (let i = 0; i < 3; i++) gif.addFrame(red, 100);
+  const decoded = decodeGIF(gif.finish());
+  assert.equal(decoded.frames.length, 1);
+  assert.equal(decoded.frames[0].delay, 30);
+  assert.deepEqual(decoded.frames[0].rgb[0], [255, 0, 0]);
+  assert.throws(() => new GifEncoder(4, 4, Array(257).fill([0, 0, 0])), /at most 256 colours/);
+});
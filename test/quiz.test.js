@@ -0,0 +1,86 @@
+// Practice-mode question generation and grading from quiz.js.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../scheduler.js';
+import { makeQuiz, answerOf, parseOrder, formatOrder, gradeQuiz, revealTrace, QUIZ_LEVELS } from '../quiz.js';
+
+const full = quiz => ({
+  order: formatOrder(quiz.answer.slots),
+  completion: quiz.answer.completion,
+  avgWaiting: quiz.answer.avgWaiting.toFixed(2)
+});
+
+test('levels set the process count, the algorithm and overlapping arrivals', () => {
+  for (const [level, spec] of Object.entries(QUIZ_LEVELS)) {
+    for (let seed = 1; seed <= 20; seed++) {
+      const quiz = makeQuiz(level, seed);
+      assert.ok(quiz.procs.length >= spec.count[0] && quiz.procs.length <= spec.count[1], `${level} ${seed}`);
+      assert.ok(spec.algorithms.includes(quiz.algorithm));
+      if (!spec.overlap) assert.ok(quiz.procs.every(p => p.arrival === 0));
+    }
+  }
+  assert.deepEqual(makeQuiz('hard', 7), makeQuiz('hard', 7));
+  assert.throws(() => makeQuiz('expert'), /Unknown quiz level "expert"/);
+});
+
+test('answers come from simulate()', () => {
+  const procs = [
+    { pid: 'P1', arrival: 2, burst: 3 },
+    { pid: 'P2', arrival: 3, burst: 1 }
+  ];
+  const answer = answerOf(simulate('FCFS', procs));
+  assert.deepEqual(answer.slots, [null, null, 'P1', 'P1', 'P1', 'P2']);
+  assert.deepEqual(answer.completion, { P1: 5, P2: 6 });
+  assert.equal(answer.avgWaiting, 1);
+  assert.equal(formatOrder(answer.slots), 'idle 2, P1 3, P2 1');
+});
+
+test('parseOrder: pid and length segments, bare pids, idle', () => {
+  assert.deepEqual(parseOrder('P1 2, p2, idle 1,- 1, P1'), ['P1', 'P1', 'p2', null, null, 'P1']);
+  assert.deepEqual(parseOrder(' '), []);
+  assert.throws(() => parseOrder('P1 0'), /"P1 0" is not a segment/);
+  assert.throws(() => parseOrder('P1 two'), /"P1 two" is not a segment/);
+  // the scenario's pids fix the case of what was typed
+  assert.deepEqual(parseOrder('p1 2, P2, IDLE, p3', ['P1', 'P2']), ['P1', 'P1', 'P2', null, 'p3']);
+});
+
+test('grading ignores the case of typed pids', () => {
+  const quiz = makeQuiz('medium', 5);
+  const lower = gradeQuiz(quiz, { ...full(quiz), order: formatOrder(quiz.answer.slots).toLowerCase() });
+  assert.equal(lower.order.correct, true);
+  assert.equal(lower.score, lower.total);
+});
+
+test('grading marks each answer and finds the first wrong time slot', () => {
+  const quiz = makeQuiz('hard', 3);
+  const right = gradeQuiz(quiz, full(quiz));
+  assert.equal(right.score, right.total);
+  assert.equal(right.total, quiz.procs.length + 2);
+  assert.equal(right.order.firstWrong, null);
+
+  // swap the pids of two neighbouring segments
+  const slots = quiz.answer.slots;
+  const first = slots.findIndex((s, t) => t > 0 && s !== slots[t - 1] && s && slots[t - 1]);
+  const swapped = slots.map(s => s === slots[first] ? slots[first - 1] : s === slots[first - 1] ? slots[first] : s);
+  const start = slots.indexOf(slots[first - 1]);
+  const wrong = gradeQuiz(quiz, { ...full(quiz), order: formatOrder(swapped), avgWaiting: '0' });
+  assert.equal(wrong.order.firstWrong, start);
+  assert.equal(wrong.avgWaiting.correct, false);
+  assert.equal(wrong.score, wrong.total - 2);
+
+  // stopping early is wrong at the first missing slot; a bad segment grades as wrong
+  const short = gradeQuiz(quiz, { ...full(quiz), order: formatOrder(slots.slice(0, 4)) });
+  assert.equal(short.order.firstWrong, 4);
+  const bad = gradeQuiz(quiz, { order: 'P1 x' });
+  assert.match(bad.order.error, /not a segment/);
+  assert.equal(bad.score, 0);
+});
+
+test('revealTrace clips the correct run to a time', () => {
+  const sim = simulate('RR', [{ pid: 'P1', arrival: 0, burst: 5 }, { pid: 'P2', arrival: 0, burst: 2 }], { quantum: 2 });
+  const part = revealTrace(sim.trace, 3);
+  assert.deepEqual(answerOf({ ...sim, trace: part }).slots, ['P1', 'P1', 'P2']);
+  assert.ok(part.every(t => t.time <= 3));
+  assert.deepEqual(revealTrace(sim.trace, Infinity), sim.trace);
+});
@@ -0,0 +1,513 @@
+// Golden textbook cases and property checks for simulate().
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate, ALGORITHMS, READY_LIMIT, registerPolicy, getPolicy, listPolicies } from '../scheduler.js';
+import { generateWorkload } from '../workload.js';
+import { schedulability } from '../realtime.js';
+
+// pid -> value maps, easier to compare than arrays
+const byPid = (sim, key) => Object.fromEntries(sim.stats.processes.map(p => [p.pid, p[key]]));
+// exec/idle/switch trace entries are segments; split them into time units
+const units = t => Array.from({ length: t.duration }, (_, i) => ({ ...t, time: t.time + i, duration: 1 }));
+const execs = sim => sim.trace.filter(t => t.event.startsWith('exec(')).flatMap(units);
+// the pid that ran at every time unit ('.' = idle), single core only
+const timeline = sim => sim.trace
+  .filter(t => t.event === 'idle' || t.event.startsWith('exec('))
+  .flatMap(units)
+  .map(t => t.cpu ?? '.');
+
+/* ---------- Golden cases (Silberschatz, Operating System Concepts) ---------- */
+
+test('FCFS: P1 24, P2 3, P3 3 all at t=0', () => {
+  const sim = simulate('FCFS', [
+    { pid: 'P1', arrival: 0, burst: 24 },
+    { pid: 'P2', arrival: 0, burst: 3 },
+    { pid: 'P3', arrival: 0, burst: 3 }
+  ]);
+  assert.deepEqual(byPid(sim, 'completionTime'), { P1: 24, P2: 27, P3: 30 });
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 0, P2: 24, P3: 27 });
+  assert.equal(sim.stats.avgWaiting, 17);
+});
+
+test('SJF: P1 6, P2 8, P3 7, P4 3 all at t=0', () => {
+  const sim = simulate('SJF', [
+    { pid: 'P1', arrival: 0, burst: 6 },
+    { pid: 'P2', arrival: 0, burst: 8 },
+    { pid: 'P3', arrival: 0, burst: 7 },
+    { pid: 'P4', arrival: 0, burst: 3 }
+  ]);
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 3, P2: 16, P3: 9, P4: 0 });
+  assert.equal(sim.stats.avgWaiting, 7);
+});
+
+test('SRTF: P1 (0, 8), P2 (1, 4), P3 (2, 9), P4 (3, 5)', () => {
+  const sim = simulate('SRTF', [
+    { pid: 'P1', arrival: 0, burst: 8 },
+    { pid: 'P2', arrival: 1, burst: 4 },
+    { pid: 'P3', arrival: 2, burst: 9 },
+    { pid: 'P4', arrival: 3, burst: 5 }
+  ]);
+  assert.deepEqual(byPid(sim, 'completionTime'), { P1: 17, P2: 5, P3: 26, P4: 10 });
+  assert.equal(sim.stats.avgWaiting, 6.5);
+  assert.ok(sim.trace.some(t => t.time === 1 && t.event === 'preempt(P1->P2)'));
+});
+
+test('Priority: five processes at t=0, lower value = higher priority', () => {
+  const sim = simulate('PRIORITY', [
+    { pid: 'P1', arrival: 0, burst: 10, priority: 3 },
+    { pid: 'P2', arrival: 0, burst: 1, priority: 1 },
+    { pid: 'P3', arrival: 0, burst: 2, priority: 4 },
+    { pid: 'P4', arrival: 0, burst: 1, priority: 5 },
+    { pid: 'P5', arrival: 0, burst: 5, priority: 2 }
+  ]);
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 6, P2: 0, P3: 16, P4: 18, P5: 1 });
+  assert.equal(sim.stats.avgWaiting, 8.2);
+});
+
+test('Preemptive priority: later, more important arrivals preempt', () => {
+  const sim = simulate('PRIORITY_P', [
+    { pid: 'P1', arrival: 0, burst: 8, priority: 3 },
+    { pid: 'P2', arrival: 1, burst: 4, priority: 1 },
+    { pid: 'P3', arrival: 2, burst: 9, priority: 4 },
+    { pid: 'P4', arrival: 3, burst: 5, priority: 2 }
+  ]);
+  assert.deepEqual(byPid(sim, 'completionTime'), { P1: 17, P2: 5, P3: 26, P4: 10 });
+  assert.ok(sim.trace.some(t => t.event === 'preempt(P1->P2)'));
+});
+
+test('RR q=4: P1 24, P2 3, P3 3 all at t=0', () => {
+  const sim = simulate('RR', [
+    { pid: 'P1', arrival: 0, burst: 24 },
+    { pid: 'P2', arrival: 0, burst: 3 },
+    { pid: 'P3', arrival: 0, burst: 3 }
+  ], { quantum: 4 });
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 6, P2: 4, P3: 7 });
+  assert.equal(sim.stats.avgWaiting.toFixed(2), '5.67');
+});
+
+test('MLQ: priority 0 in the foreground RR queue, the rest in the background', () => {
+  const sim = simulate('MLQ', [
+    { pid: 'P1', arrival: 0, burst: 5, priority: 0 },
+    { pid: 'P2', arrival: 1, burst: 3, priority: 1 },
+    { pid: 'P3', arrival: 2, burst: 8, priority: 0 },
+    { pid: 'P4', arrival: 3, burst: 6, priority: 2 }
+  ], { mlqFgQuantum: 2, mlqBgQuantum: 4 });
+  assert.deepEqual(byPid(sim, 'completionTime'), { P1: 9, P2: 16, P3: 13, P4: 22 });
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 4, P2: 12, P3: 3, P4: 13 });
+});
+
+test('MLFQ: full quanta demote through RR 2, RR 4, FCFS', () => {
+  const sim = simulate('MLFQ', [
+    { pid: 'P1', arrival: 0, burst: 8 },
+    { pid: 'P2', arrival: 1, burst: 4 },
+    { pid: 'P3', arrival: 2, burst: 9 },
+    { pid: 'P4', arrival: 3, burst: 5 }
+  ]);
+  assert.equal(timeline(sim).map(pid => pid.slice(1)).join(''), '11223344111122333344411333');
+  assert.deepEqual(byPid(sim, 'completionTime'), { P1: 23, P2: 14, P3: 26, P4: 21 });
+  assert.ok(sim.trace.some(t => t.event === 'demote(P1,Q1->Q2)'));
+});
+
+test('MLFQ: a preempted process keeps its level even after an earlier boost', () => {
+  // P1 last woke from I/O at 3; the boost at 10 is long past when P2
+  // preempts it at 13, so P1 stays in Q1 and P2 runs its Q0 quantum
+  const sim = simulate('MLFQ', [
+    { pid: 'P1', arrival: 0, burst: 31, bursts: [1, 2, 30] },
+    { pid: 'P2', arrival: 13, burst: 5 }
+  ], { mlfqBoost: 10 });
+  const preempt = sim.trace.find(t => t.event === 'preempt(P1->P2)');
+  assert.equal(preempt.time, 13);
+  assert.match(preempt.reason, /P1 in Q1$/);
+  // picked again once P2 is demoted, from Q1 with its longer quantum
+  const pick = sim.trace.find(t => t.event === 'pick(P1)' && t.time === 15);
+  assert.match(pick.reason, /^head of Q1 RR q=4/);
+});
+
+/* ---------- Edge cases ---------- */
+
+test('idle gaps are traced and do not count as waiting', () => {
+  const sim = simulate('FCFS', [
+    { pid: 'P1', arrival: 0, burst: 2 },
+    { pid: 'P2', arrival: 5, burst: 3 }
+  ]);
+  assert.deepEqual(timeline(sim), ['P1', 'P1', '.', '.', '.', 'P2', 'P2', 'P2']);
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 0, P2: 0 });
+});
+
+test('simultaneous arrivals keep input order', () => {
+  const procs = [
+    { pid: 'B', arrival: 1, burst: 2 },
+    { pid: 'A', arrival: 1, burst: 2 },
+    { pid: 'C', arrival: 1, burst: 2 }
+  ];
+  assert.deepEqual(timeline(simulate('FCFS', procs)), ['.', 'B', 'B', 'A', 'A', 'C', 'C']);
+  assert.deepEqual(timeline(simulate('RR', procs, { quantum: 1 })), ['.', 'B', 'A', 'C', 'B', 'A', 'C']);
+});
+
+test('RR with a quantum larger than every burst behaves like FCFS', () => {
+  const procs = [
+    { pid: 'P1', arrival: 0, burst: 3 },
+    { pid: 'P2', arrival: 1, burst: 4 },
+    { pid: 'P3', arrival: 2, burst: 2 }
+  ];
+  const rr = simulate('RR', procs, { quantum: 10 });
+  const fcfs = simulate('FCFS', procs);
+  assert.deepEqual(timeline(rr), timeline(fcfs));
+  assert.deepEqual(rr.stats.processes, fcfs.stats.processes);
+});
+
+test('I/O bursts block the process and idle the CPU when nothing is ready', () => {
+  const sim = simulate('FCFS', [{ pid: 'P1', arrival: 0, bursts: [2, 3, 1] }]);
+  assert.deepEqual(timeline(sim), ['P1', 'P1', '.', '.', '.', 'P1']);
+  assert.deepEqual(sim.historySnapshots.at(3).blocked, ['P1']);
+  assert.deepEqual(byPid(sim, 'waiting'), { P1: 0 });
+});
+
+test('zero, fractional and negative times are refused instead of never finishing', () => {
+  const run = p => () => simulate('FCFS', [{ pid: 'P1', arrival: 0, burst: 2, ...p }]);
+  assert.throws(run({ burst: 0 }), /P1: burst "0" must be a whole number >= 1/);
+  assert.throws(run({ burst: 1.5 }), /P1: burst "1.5" must be a whole number >= 1/);
+  assert.throws(run({ bursts: [2, 0.5, 1] }), /P1: burst "0.5"/);
+  assert.throws(run({ arrival: 0.5 }), /P1: arrival "0.5" must be a whole number >= 0/);
+  assert.throws(run({ arrival: -1 }), /P1: arrival "-1"/);
+  assert.throws(run({ period: 2.5 }), /P1: period "2.5"/);
+});
+
+test('context switches cost time between different processes only', () => {
+  const sim = simulate('RR', [
+    { pid: 'P1', arrival: 0, burst: 2 },
+    { pid: 'P2', arrival: 0, burst: 2 }
+  ], { quantum: 1, contextSwitch: 1 });
+  assert.deepEqual(sim.trace.filter(t => t.duration !== undefined).map(t => t.event),
+    ['exec(P1)', 'switch(P1->P2)', 'exec(P2)', 'switch(P2->P1)', 'exec(P1)', 'switch(P1->P2)', 'exec(P2)']);
+  assert.equal(sim.stats.contextSwitches, 3);
+  assert.equal(sim.stats.switchTime, 3);
+  // the engine steps in whole units, so a fraction of one is refused
+  for (const cost of [0.5, -1]) {
+    assert.throws(() => simulate('RR', [{ pid: 'P1', arrival: 0, burst: 2 }], { contextSwitch: cost }), /Context switch cost "[-.\d]+" must be a whole number/);
+  }
+});
+
+test('two cores run two processes at once', () => {
+  const sim = simulate('FCFS', [
+    { pid: 'P1', arrival: 0, burst: 3 },
+    { pid: 'P2', arrival: 0, burst: 3 }
+  ], { cores: 2 });
+  assert.deepEqual(byPid(sim, 'completionTime'), { P1: 3, P2: 3 });
+  assert.deepEqual(sim.historySnapshots.at(0).cpu, ['P1', 'P2']);
+  assert.deepEqual(sim.stats.coreUtilization, [1, 1]);
+});
+
+test('aggregate metrics: waiting spread, fairness, utilization and idle time', () => {
+  const sim = simulate('FCFS', [
+    { pid: 'P1', arrival: 0, burst: 24 },
+    { pid: 'P2', arrival: 0, burst: 3 },
+    { pid: 'P3', arrival: 0, burst: 3 }
+  ]);
+  assert.equal(sim.stats.maxWaiting, 27);
+  assert.ok(Math.abs(sim.stats.stdWaiting - Math.sqrt(146)) < 1e-9);
+  // shares 24/24, 3/27, 3/30
+  assert.ok(Math.abs(sim.stats.fairness - 0.47825) < 1e-4);
+  assert.equal(sim.stats.cpuUtilization, 1);
+  assert.equal(sim.stats.idleTime, 0);
+
+  const gap = simulate('FCFS', [
+    { pid: 'P1', arrival: 0, burst: 2 },
+    { pid: 'P2', arrival: 5, burst: 3 }
+  ]);
+  assert.equal(gap.stats.idleTime, 3);
+  assert.equal(gap.stats.cpuUtilization, 5 / 8);
+  assert.equal(gap.stats.fairness, 1);
+});
+
+/* ---------- Proportional share ---------- */
+
+// CPU units each pid got in [0, until)
+function unitsBefore(sim, until) {
+  const got = {};
+  for (const t of execs(sim)) if (t.time < until) got[t.cpu] = (got[t.cpu] ?? 0) + 1;
+  return got;
+}
+
+const shareWorkload = [
+  { pid: 'A', arrival: 0, burst: 40, tickets: 300 },
+  { pid: 'B', arrival: 0, burst: 40, tickets: 100 },
+  { pid: 'C', arrival: 0, burst: 40, tickets: 100 }
+];
+
+test('Stride splits the CPU exactly by tickets while processes compete', () => {
+  const sim = simulate('STRIDE', shareWorkload, { quantum: 1 });
+  assert.deepEqual(unitsBefore(sim, 50), { A: 30, B: 10, C: 10 });
+  for (const s of sim.stats.shares) assert.ok(Math.abs(s.entitled - s.actual) < 0.01, `${s.pid} ${s.entitled} vs ${s.actual}`);
+});
+
+test('Lottery repeats for a seed and follows tickets on average', () => {
+  const run = seed => simulate('LOTTERY', shareWorkload, { quantum: 1, seed });
+  assert.deepEqual(run(7).trace, run(7).trace);
+  assert.notDeepEqual(run(7).trace, run(8).trace);
+  assert.ok(run(7).trace.some(t => /^draw\(A,\d+\/500\)$/.test(t.event)));
+  const got = unitsBefore(run(7), 50);
+  assert.ok(got.A > got.B && got.A > got.C, JSON.stringify(got));
+});
+
+test('shares: tickets default from priority and both columns sum to 1', () => {
+  const sim = simulate('RR', [
+    { pid: 'P1', arrival: 0, burst: 6, priority: 0 },
+    { pid: 'P2', arrival: 0, burst: 6, priority: 2 },
+    { pid: 'P3', arrival: 4, burst: 3, priority: 1, tickets: 10 }
+  ], { quantum: 2 });
+  const shares = sim.stats.shares;
+  assert.deepEqual(shares.map(s => s.tickets), [3, 1, 10]);
+  const sum = key => shares.reduce((s, x) => s + x[key], 0);
+  assert.ok(Math.abs(sum('entitled') - 1) < 1e-9);
+  assert.ok(Math.abs(sum('actual') - 1) < 1e-9);
+
+  // RR q=1 alternates 3 and 1 tickets until P1 ends at 7: 7 units owed 3:1,
+  // then P2 alone for 1 unit
+  const rr = simulate('RR', [
+    { pid: 'P1', arrival: 0, burst: 4, tickets: 3 },
+    { pid: 'P2', arrival: 0, burst: 4, tickets: 1 }
+  ], { quantum: 1 });
+  assert.deepEqual(rr.stats.shares, [
+    { pid: 'P1', tickets: 3, entitled: 5.25 / 8, actual: 0.5 },
+    { pid: 'P2', tickets: 1, entitled: 2.75 / 8, actual: 0.5 }
+  ]);
+});
+
+/* ---------- CFS ---------- */
+
+test('CFS: CPU time follows the nice weights while processes compete', () => {
+  // nice 0 weighs 1024 and nice 5 335, about 3:1
+  const sim = simulate('CFS', [
+    { pid: 'A', arrival: 0, burst: 60, priority: 0 },
+    { pid: 'B', arrival: 0, burst: 60, priority: 5 }
+  ], { cfsLatency: 12, cfsMinGranularity: 1 });
+  assert.deepEqual(unitsBefore(sim, 48), { A: 36, B: 12 });
+  const picks = sim.trace.filter(t => t.event.startsWith('pick('));
+  assert.ok(picks.length > 0 && picks.every(t => t.reason), 'every pick has a reason');
+  assert.match(picks[0].reason, /lowest vruntime 0 \(next: B at 0\); nice 0 -> weight 1024, slice 9 = max\(1, 12 x 1024\/1359\)/);
+});
+
+test('CFS: a waking process with a lower vruntime preempts, and snapshots carry vruntime', () => {
+  const sim = simulate('CFS', [
+    { pid: 'A', arrival: 0, burst: 10 },
+    { pid: 'B', arrival: 4, burst: 2 }
+  ]);
+  const preempt = sim.trace.find(t => t.event === 'preempt(A->B)');
+  assert.equal(preempt.time, 4);
+  const pick = sim.trace.find(t => t.event === 'pick(B)');
+  assert.match(pick.reason, /^B arrived with vruntime 0, more than 2 below A's 4; /);
+
+  const at = t => sim.historySnapshots.at(t).keys;
+  assert.equal(at(0).name, 'vruntime');
+  // A's vruntime grows through its slice, one per unit at nice 0
+  assert.deepEqual([0, 1, 2, 3].map(t => at(t).values.A), [1, 2, 3, 4]);
+  assert.deepEqual(at(4).values, { A: 4, B: 1 });
+});
+
+/* ---------- Real-time ---------- */
+
+// U = 2/5 + 4/7 = 0.971: over the two-task RM bound (0.828), under 1
+const rtTasks = [
+  { pid: 'T1', arrival: 0, burst: 2, period: 5 },
+  { pid: 'T2', arrival: 0, burst: 4, period: 7 }
+];
+
+test('periodic tasks run as one job per period up to the hyperperiod', () => {
+  const sim = simulate('EDF', rtTasks);
+  assert.equal(sim.stats.processes.length, 7 + 5);
+  const t2 = sim.stats.processes.filter(p => p.task === 'T2');
+  assert.deepEqual(t2.map(p => [p.pid, p.arrival, p.deadline]),
+    [['T2#1', 0, 7], ['T2#2', 7, 14], ['T2#3', 14, 21], ['T2#4', 21, 28], ['T2#5', 28, 35]]);
+  assert.equal(simulate('EDF', rtTasks, { horizon: 10 }).stats.processes.length, 2 + 2);
+});
+
+test('RM misses a deadline that EDF meets; misses are in stats', () => {
+  const rm = simulate('RM', rtTasks);
+  // T1#2 (period 5) preempts T2#1 at 5, so T2#1 ends at 8, one past its deadline
+  assert.equal(timeline(rm).slice(0, 8).join(''), 'T1#1T1#1T2#1T2#1T2#1T1#2T1#2T2#1');
+  assert.deepEqual(rm.stats.deadlines, {
+    total: 12,
+    missed: [{ pid: 'T2#1', task: 'T2', deadline: 7, completionTime: 8, lateness: 1 }]
+  });
+  assert.deepEqual(simulate('EDF', rtTasks).stats.deadlines, { total: 12, missed: [] });
+  // no deadlines, no deadline stats
+  assert.equal(simulate('RR', [{ pid: 'P1', arrival: 0, burst: 3 }]).stats.deadlines, undefined);
+});
+
+test('schedulability: Liu & Layland for RM, U <= 1 for EDF', () => {
+  const loose = schedulability([{ burst: 1, period: 4 }, { burst: 1, period: 5 }]);
+  assert.equal(loose.rm.schedulable, true);
+  assert.equal(loose.edf.schedulable, true);
+  const tight = schedulability(rtTasks);
+  assert.ok(Math.abs(tight.rmBound - 2 * (Math.SQRT2 - 1)) < 1e-12);
+  assert.equal(tight.rm.schedulable, null);
+  assert.equal(tight.edf.schedulable, true);
+  const over = schedulability([...rtTasks, { burst: 1, period: 10 }]);
+  assert.equal(over.rm.schedulable, false);
+  assert.equal(over.edf.schedulable, false);
+  // shorter deadlines: the bound doesn't apply, EDF falls back to density
+  const constrained = schedulability([{ burst: 1, period: 4, deadline: 2 }, { burst: 1, period: 8, deadline: 4 }]);
+  assert.equal(constrained.rm.schedulable, null);
+  assert.deepEqual(constrained.edf, { schedulable: true, reason: 'density 0.750 <= 1' });
+});
+
+/* ---------- Decision reasons ---------- */
+
+// instant events of a run as 'time event: reason'
+const decisions = sim => sim.trace.filter(t => t.duration === undefined).map(t => `${t.time} ${t.event}: ${t.reason}`);
+
+test('SRTF: arrivals, preemptions, picks and completions are separate, explained events', () => {
+  const sim = simulate('SRTF', [
+    { pid: 'P1', arrival: 0, burst: 8 },
+    { pid: 'P2', arrival: 1, burst: 4 },
+    { pid: 'P3', arrival: 2, burst: 9 }
+  ]);
+  assert.deepEqual(decisions(sim).slice(0, 8), [
+    '0 arrive(P1): P1 arrived',
+    '0 pick(P1): P1 is the only ready process',
+    '1 arrive(P2): P2 arrived',
+    '1 preempt(P1->P2): shortest remaining: 4 < 7 (P1)',
+    '1 pick(P2): shortest remaining: 4 < 7 (P1)',
+    '2 arrive(P3): P3 arrived',
+    '5 complete(P2): P2 finished its last CPU burst (turnaround 4)',
+    '5 pick(P1): shortest remaining: 7 < 9 (P3)'
+  ]);
+});
+
+test('RR and MLFQ explain quantum expiries, I/O and queue levels', () => {
+  const procs = [
+    { pid: 'P1', arrival: 0, burst: 5 },
+    { pid: 'P2', arrival: 0, bursts: [1, 2, 1] }
+  ];
+  assert.deepEqual(decisions(simulate('RR', procs, { quantum: 2 })).slice(2, 7), [
+    '0 pick(P1): head of the ready queue, ahead of P2; runs for up to 2',
+    '2 expire(P1): quantum 2 expired, P1 re-queued',
+    '2 pick(P2): head of the ready queue, ahead of P1; runs for up to 2',
+    '3 block(P2): P2 starts 2 units of I/O, back at 5',
+    '3 pick(P1): P1 is the only ready process; runs for up to 2'
+  ]);
+  const mlfq = decisions(simulate('MLFQ', procs));
+  assert.ok(mlfq.includes('2 demote(P1,Q0->Q1): P1 used its whole Q0 quantum'));
+  assert.ok(mlfq.includes('5 preempt(P1->P2): P2 in Q0 outranks P1 in Q1'));
+  assert.ok(mlfq.includes('3 pick(P1): head of Q1 RR q=4; Q0 is empty'));
+});
+
+/* ---------- Policy registry ---------- */
+
+test('a registered policy runs on the shared engine', () => {
+  // non-preemptive longest job first
+  registerPolicy('TEST_LJF', {
+    label: 'Longest Job First',
+    create: () => {
+      const list = [];
+      return {
+        onArrival(p) { list.push(p); list.sort((a, b) => b.burstLeft - a.burstLeft); },
+        pickNext() { return list.shift() ?? null; },
+        readyPids() { return list.map(p => p.pid); }
+      };
+    }
+  });
+  assert.equal(getPolicy('TEST_LJF').label, 'Longest Job First');
+  assert.ok(listPolicies().some(p => p.id === 'TEST_LJF'));
+  const sim = simulate('TEST_LJF', [
+    { pid: 'P1', arrival: 0, burst: 2 },
+    { pid: 'P2', arrival: 1, burst: 3 },
+    { pid: 'P3', arrival: 1, burst: 5 },
+    { pid: 'P4', arrival: 1, bursts: [1, 2, 4] }
+  ], { contextSwitch: 1, cores: 2 });
+  // P3 (longest) takes the free core at 1, P2 beats P4 to core 0 at 2 (+1 switch)
+  assert.deepEqual(byPid(sim, 'startTime'), { P1: 0, P2: 3, P3: 1, P4: 7 });
+  assert.ok(sim.stats.processes.every(p => p.completionTime !== null));
+});
+
+test('registry rejects duplicates, missing hooks and unknown algorithms', () => {
+  assert.throws(() => registerPolicy('RR', { create: () => ({}) }), /already registered/);
+  assert.throws(() => registerPolicy('TEST_NO_CREATE', {}), /create/);
+  registerPolicy('TEST_BROKEN', { create: () => ({ onArrival() {} }) });
+  assert.throws(() => simulate('TEST_BROKEN', [{ pid: 'P1', arrival: 0, burst: 1 }]), /no pickNext\(\) hook/);
+  assert.throws(() => simulate('NOPE', [{ pid: 'P1', arrival: 0, burst: 1 }]), /Unknown algorithm "NOPE"/);
+});
+
+/* ---------- Event-driven engine ---------- */
+
+test('long bursts are one segment each and snapshots are rebuilt on demand', () => {
+  const sim = simulate('FCFS', [
+    { pid: 'P1', arrival: 0, burst: 1000000 },
+    { pid: 'P2', arrival: 10, burst: 1000000 }
+  ]);
+  assert.deepEqual(sim.trace.filter(t => t.duration !== undefined).map(t => [t.event, t.time, t.duration]),
+    [['exec(P1)', 0, 1000000], ['exec(P2)', 1000000, 1000000]]);
+  assert.equal(sim.historySnapshots.length, 2000000);
+  const snap = sim.historySnapshots.at(1500000);
+  assert.deepEqual(snap.cpu, ['P2']);
+  assert.deepEqual(snap.procs.map(p => [p.pid, p.state, p.remaining]), [['P1', 'done', 0], ['P2', 'running', 499999]]);
+});
+
+test('10k processes: ready lists are capped, readyCount has the full length', () => {
+  const procs = generateWorkload({ count: 10000, seed: 11 });
+  for (const algorithm of ['RR', 'SRTF', 'MLFQ']) {
+    const sim = simulate(algorithm, procs, { mlfqAging: 40 });
+    assert.equal(sim.stats.processes.length, 10000);
+    assert.ok(sim.stats.processes.every(p => p.completionTime >= p.arrival + p.burst));
+    const mid = sim.historySnapshots.at(Math.floor(sim.historySnapshots.length / 2));
+    assert.ok(mid.readyCount > READY_LIMIT, `${algorithm}: expected a long ready queue`);
+    assert.equal(mid.ready.length, READY_LIMIT);
+    assert.ok(sim.trace.every(t => t.ready.length <= READY_LIMIT));
+  }
+});
+
+/* ---------- Properties over every algorithm ---------- */
+
+const workloads = [
+  [
+    { pid: 'P1', arrival: 0, burst: 5, priority: 0 },
+    { pid: 'P2', arrival: 1, burst: 3, priority: 1 },
+    { pid: 'P3', arrival: 2, burst: 8, priority: 0 },
+    { pid: 'P4', arrival: 3, burst: 6, priority: 2 }
+  ],
+  generateWorkload({ count: 12, seed: 7 }),
+  generateWorkload({ count: 10, seed: 3, arrival: { type: 'uniform', max: 30 }, burst: { type: 'bimodal', short: 2, long: 10, cpuBound: 0.4 } })
+];
+
+for (const algorithm of ALGORITHMS) {
+  test(`${algorithm}: executed units, arrivals and metrics are consistent`, () => {
+    for (const procs of workloads) {
+      const sim = simulate(algorithm, procs, { quantum: 3 });
+      const arrival = Object.fromEntries(procs.map(p => [p.pid, p.arrival]));
+      const totalBurst = sim.stats.processes.reduce((s, p) => s + p.burst, 0);
+
+      assert.equal(execs(sim).length, totalBurst, 'executed units = sum of CPU bursts');
+      for (const t of execs(sim)) {
+        assert.ok(t.time >= arrival[t.cpu], `${t.cpu} ran at ${t.time} before arriving at ${arrival[t.cpu]}`);
+      }
+      const times = execs(sim).map(t => t.time);
+      assert.equal(new Set(times).size, times.length, 'one process per time unit on one core');
+      for (const p of sim.stats.processes) {
+        assert.equal(p.turnaround, p.completionTime - p.arrival);
+        assert.equal(p.waiting, p.turnaround - p.burst - p.io);
+        assert.ok(p.waiting >= 0, `${p.pid} has negative waiting time`);
+      }
+      const unexplained = sim.trace.find(t => t.duration === undefined && !t.reason);
+      assert.equal(unexplained, undefined, 'every event has a reason');
+      const picks = sim.trace.filter(t => t.event.startsWith('pick(')).length;
+      const dispatches = sim.trace.filter(t => t.event.startsWith('exec(') || t.event.startsWith('switch(')).length;
+      assert.ok(picks > 0 && picks <= dispatches, 'a pick before each dispatch');
+    }
+  });
+}
+
+test('FCFS starts processes in arrival order and never interrupts a CPU burst', () => {
+  for (const procs of workloads.slice(0, 2)) {
+    const sim = simulate('FCFS', procs);
+    const starts = sim.stats.processes
+      .slice()
+      .sort((a, b) => a.arrival - b.arrival)
+      .map(p => p.startTime);
+    assert.deepEqual(starts, [...starts].sort((a, b) => a - b));
+    for (const p of sim.stats.processes) {
+      assert.equal(p.completionTime - p.startTime, p.burst, `${p.pid} was interrupted`);
+    }
+  }
+});
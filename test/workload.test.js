@@ -0,0 +1,47 @@
+// generateWorkload: seeded, reproducible random workloads.
+// Run with: npm test   (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWorkload } from '../workload.js';
+import { createRng } from '../utils.js';
+
+const bimodal = { type: 'bimodal', short: 2, long: 12, cpuBound: 0.3 };
+
+test('the same seed gives the same workload, another seed a different one', () => {
+  for (const burst of [{ type: 'exponential', mean: 6 }, { type: 'uniform', min: 2, max: 9 }, bimodal]) {
+    const make = seed => generateWorkload({ count: 20, seed, burst });
+    assert.deepEqual(make(7), make(7), burst.type);
+    assert.notDeepEqual(make(7), make(8), burst.type);
+  }
+  // 0 is a seed of its own
+  assert.notDeepEqual(generateWorkload({ seed: 0 }), generateWorkload({ seed: 1 }));
+  assert.notEqual(createRng(0)(), createRng(1)());
+});
+
+test('generated values stay within the requested ranges', () => {
+  const whole = (v, min) => Number.isInteger(v) && v >= min;
+  for (let seed = 1; seed <= 20; seed++) {
+    const uniform = generateWorkload({
+      count: 30, seed,
+      arrival: { type: 'uniform', max: 15 },
+      burst: { type: 'uniform', min: 3, max: 8 },
+      priority: { min: 1, max: 3 }
+    });
+    assert.deepEqual(uniform.map(p => p.pid), Array.from({ length: 30 }, (_, i) => `P${i + 1}`));
+    for (const p of uniform) {
+      assert.ok(whole(p.arrival, 0) && p.arrival <= 15, `arrival ${p.arrival}`);
+      assert.ok(whole(p.burst, 3) && p.burst <= 8, `burst ${p.burst}`);
+      assert.ok(whole(p.priority, 1) && p.priority <= 3, `priority ${p.priority}`);
+      assert.equal(p.bursts, undefined);
+    }
+
+    const poisson = generateWorkload({ count: 30, seed, arrival: { type: 'poisson', rate: 2 }, burst: bimodal });
+    poisson.forEach((p, i) => {
+      assert.ok(whole(p.arrival, 0) && (i === 0 || p.arrival >= poisson[i - 1].arrival), `arrival ${p.arrival}`);
+      const bursts = p.bursts ?? [p.burst];
+      assert.ok(bursts.length === 1 || bursts.length === 5, `${bursts.length} bursts`);
+      assert.ok(bursts.every(b => whole(b, 1)), bursts.join(','));
+      assert.equal(p.burst, bursts.filter((b, j) => j % 2 === 0).reduce((s, b) => s + b, 0));
+    });
+  }
+});
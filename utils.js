@@ -1,7 +1,13 @@
 // utils.js
 export function downloadJSON(obj, filename = 'trace.json') {
-  const data = JSON.stringify(obj, null, 2);
-  const blob = new Blob([data], {type: 'application/json'});
+  downloadText(JSON.stringify(obj, null, 2), filename, 'application/json');
+}
+
+export function downloadText(text, filename = 'data.txt', type = 'text/plain') {
+  downloadBlob(new Blob([text], {type}), filename);
+}
+
+export function downloadBlob(blob, filename = 'data.bin') {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url; a.download = filename;
@@ -22,4 +28,17 @@ export function uid(prefix='P') {
   return `${prefix}${Math.floor(Math.random()*9000+1000)}`;
 }
 
+// Seeded PRNG (mulberry32): createRng(42)() returns the same sequence for the same seed;
+// every 32-bit seed, 0 included, has its own sequence
+export function createRng(seed = 1) {
+  let a = Number(seed) >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 export function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
@@ -0,0 +1,72 @@
+// workload.js
+// Random workload generator with a seeded PRNG, so a seed reproduces a table.
+// generateWorkload({count, seed, arrival, burst, priority})
+// arrival:  { type: 'poisson', rate }        exponential inter-arrival gaps, rate = arrivals per unit
+//           { type: 'uniform', max }         arrivals spread uniformly over [0, max]
+// burst:    { type: 'exponential', mean }
+//           { type: 'uniform', min, max }
+//           { type: 'bimodal', short, long, cpuBound, io? }
+//             cpuBound share (0..1) get one long burst (mean `long`); the rest
+//             are I/O-bound: CPU/I/O/CPU/I/O/CPU with short CPU bursts (mean
+//             `short`) and I/O bursts of mean `io` (default 2 * short)
+// priority: { min, max }                     uniform whole numbers
+// Returns [{pid, arrival, burst, bursts?, priority}] sorted by arrival, pids P1..Pn.
+import { createRng } from './utils.js';
+
+export const DEFAULT_WORKLOAD = {
+  count: 8,
+  seed: 42,
+  arrival: { type: 'poisson', rate: 0.5 },
+  burst: { type: 'exponential', mean: 6 },
+  priority: { min: 0, max: 4 }
+};
+
+export function generateWorkload(config = {}) {
+  const { count, seed, arrival, burst, priority } = { ...DEFAULT_WORKLOAD, ...config };
+  const rng = createRng(seed);
+
+  const uniformInt = (min, max) => min + Math.floor(rng() * (max - min + 1));
+  // at least one time unit, whole numbers like the process table
+  const exponential = mean => Math.max(1, Math.round(-mean * Math.log(1 - rng())));
+
+  const arrivals = [];
+  if (arrival.type === 'uniform') {
+    for (let i=0;i<count;i++) arrivals.push(uniformInt(0, Math.max(0, arrival.max ?? 20)));
+    arrivals.sort((a,b)=> a - b);
+  } else {
+    const rate = arrival.rate > 0 ? arrival.rate : 0.5;
+    let t = 0;
+    for (let i=0;i<count;i++) {
+      arrivals.push(Math.round(t));
+      t += -Math.log(1 - rng()) / rate;
+    }
+  }
+
+  function drawBursts() {
+    if (burst.type === 'uniform') {
+      const min = Math.max(1, burst.min ?? 1);
+      return [uniformInt(min, Math.max(min, burst.max ?? 10))];
+    }
+    if (burst.type === 'bimodal') {
+      if (rng() < (burst.cpuBound ?? 0.3)) return [exponential(burst.long ?? 12)];
+      const short = burst.short ?? 2;
+      const io = burst.io ?? short * 2;
+      return [exponential(short), exponential(io), exponential(short), exponential(io), exponential(short)];
+    }
+    return [exponential(burst.mean ?? 6)];
+  }
+
+  const pmin = Math.min(priority.min ?? 0, priority.max ?? 0);
+  const pmax = Math.max(priority.min ?? 0, priority.max ?? 0);
+  return arrivals.map((at, i) => {
+    const bursts = drawBursts();
+    const proc = {
+      pid: `P${i+1}`,
+      arrival: at,
+      burst: bursts.filter((b, j) => j % 2 === 0).reduce((s,b)=> s + b, 0),
+      priority: uniformInt(pmin, pmax)
+    };
+    if (bursts.length > 1) proc.bursts = bursts;
+    return proc;
+  });
+}